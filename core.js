@@ -0,0 +1,2289 @@
+// 停车计费核心 - 不依赖页面的计费、规则解析、提醒计划和数据存储
+// 页面(index.html)和Node测试(test/core.test.js)共用：浏览器中为 self.ParkingCore，Node中用 require('./core.js') 引入。
+// 纯函数可以直接调用；用到当前时间或存储的功能通过 ParkingCore.create({ now, storage }) 创建的实例调用，
+// now 返回毫秒时间戳，storage 与 localStorage 接口相同(getItem/setItem/removeItem)。
+// ParkingCore 本身是使用 Date.now 和 localStorage 的默认实例。
+// 显示给用户的文字和金额、日期格式按 i18n.js(ParkingI18n)的当前语言和币种生成，需在本文件之前加载。
+(function(global) {
+  const I18n = typeof module !== 'undefined' && module.exports ? require('./i18n.js') : global.ParkingI18n;
+  const t = I18n.t;
+  const formatMoney = I18n.formatMoney;
+  
+  // ===== 格式化 =====
+  // 格式化数字为两位数
+  function padZero(num) {
+    return num.toString().padStart(2, '0');
+  }
+  
+  // 格式化时长，超过一天时加上天数(停车可能持续多天)
+  function formatDuration(durationMs) {
+    const days = Math.floor(durationMs / DAY_MS);
+    if (days > 0) {
+      const rest = durationMs % DAY_MS;
+      return rest >= 60000 ? t('duration.daysRest', { days: days, rest: formatDuration(rest) }) : t('duration.days', { days: days });
+    }
+    
+    const hours = Math.floor(durationMs / 3600000);
+    const minutes = Math.floor((durationMs % 3600000) / 60000);
+    
+    if (hours > 0 && minutes > 0) {
+      return t('duration.hoursMinutes', { hours: hours, minutes: minutes });
+    }
+    return hours > 0 ? t('duration.hours', { hours: hours }) : t('duration.minutes', { minutes: minutes });
+  }
+  
+  // 日期和时间按当前语言的习惯显示
+  function formatDateTime(date) {
+    return I18n.formatDateTime(date);
+  }
+  
+  function formatTime(date) {
+    return I18n.formatTime(date);
+  }
+  
+  // 将时长格式化为 HH:MM:SS
+  function formatClock(durationMs) {
+    const hours = Math.floor(durationMs / 3600000);
+    const minutes = Math.floor((durationMs % 3600000) / 60000);
+    const seconds = Math.floor((durationMs % 60000) / 1000);
+    return `${padZero(hours)}:${padZero(minutes)}:${padZero(seconds)}`;
+  }
+  
+  // 计时器中的时长，超过一天时显示天数和 HH:MM:SS，如"2天 03:04:05"
+  function formatTimerClock(durationMs) {
+    const days = Math.floor(durationMs / DAY_MS);
+    return days > 0 ? t('timer.days', { count: days, time: formatClock(durationMs % DAY_MS) }) : formatClock(durationMs);
+  }
+  
+  // 计时器显示的内容：开始时间在未来时为开始倒计时，设置了停车时长时为剩余时间，否则为已停时长。
+  // costTime 为计算当前费用使用的时长(设置了停车时长时按整个时长计算)，还没有开始时为 null
+  function getTimerReadout(startMs, elapsedTime, totalDuration, now) {
+    if (startMs === null) {
+      return { text: '00:00:00', highlight: false, costTime: null };
+    }
+    if (startMs > now) {
+      return { text: t('timer.countdown', { time: formatTimerClock(startMs - now) }), highlight: true, costTime: null };
+    }
+    if (totalDuration > 0) {
+      return { text: t('timer.remaining', { time: formatTimerClock(Math.max(0, totalDuration - elapsedTime)) }), highlight: true, costTime: totalDuration };
+    }
+    return { text: formatTimerClock(elapsedTime), highlight: false, costTime: elapsedTime };
+  }
+  
+  // ===== 计费引擎 =====
+  // 规则模型：
+  //   freeTime     免费时长(分钟)，总停车时长不超过该值时不收费
+  //   unit         默认计费单位(分钟)，不足一个单位按一个单位计算
+  //   tiers        按累计停车时长分段的阶梯，如 [{ upTo: 60, flat: 10 }, { upTo: null, price: 5, unit: 60 }]
+  //                flat 为该阶梯一口价，price 为每个计费单位的价格，upTo 为空表示之后所有时长
+  //   periods      可选的分时段规则，如 [{ label: '夜间', from: '20:00', to: '08:00', tiers: [...], cap: 10 }]
+  //                计费单位按其开始时刻所在时段计价，cap 为该时段每次出现的封顶金额
+  //   dailyCap     每日封顶金额，capMode 为 'rolling'(自入场起每24小时) 或 'calendar'(自然日)
+  // 旧的 baseTime/baseCost/overtimeCost 规则会被转换为两段阶梯，计费结果与原来一致(见 legacyPricingTiers)
+  
+  const MINUTE_MS = 60000;
+  const DAY_MINUTES = 24 * 60;
+  const DAY_MS = DAY_MINUTES * MINUTE_MS;
+  
+  // 将旧规则或不完整的规则补全为引擎使用的统一结构
+  function normalizePricingRule(rule) {
+    const unit = Math.max(1, parseInt(rule.unit) || 60);
+    
+    const tiers = Array.isArray(rule.tiers) && rule.tiers.length > 0 ? rule.tiers : legacyPricingTiers(rule, unit);
+    
+    const periods = (Array.isArray(rule.periods) ? rule.periods : [])
+      .filter(period => parseClockMinutes(period.from) !== null && parseClockMinutes(period.to) !== null)
+      .map(period => ({
+        label: period.label || `${period.from}-${period.to}`,
+        from: parseClockMinutes(period.from),
+        to: parseClockMinutes(period.to),
+        tiers: normalizeTiers(Array.isArray(period.tiers) && period.tiers.length > 0 ?
+          period.tiers : [{ upTo: null, price: period.price || 0, unit: period.unit || unit }], unit),
+        cap: period.cap > 0 ? period.cap : null
+      }));
+    
+    return {
+      freeTime: Math.max(0, rule.freeTime || 0),
+      unit: unit,
+      tiers: normalizeTiers(tiers, unit),
+      periods: periods,
+      dailyCap: rule.dailyCap > 0 ? rule.dailyCap : null,
+      capMode: rule.capMode === 'calendar' ? 'calendar' : 'rolling'
+    };
+  }
+  
+  // 旧规则的阶梯：基础时长内收基础费用，之后按单位收超时费用。
+  // 基础时长为0时原来的算法仍在超过免费时长后收取一次基础费用，再按单位收超时费用，
+  // 因此基础费用按次收取，与第一个计费单位的超时费用合为第一段一口价
+  function legacyPricingTiers(rule, unit) {
+    const baseCost = rule.baseCost || 0;
+    const overtimeCost = rule.overtimeCost || 0;
+    const tiers = [];
+    if (rule.baseTime > 0) {
+      tiers.push({ upTo: rule.baseTime * 60, flat: baseCost });
+    } else if (baseCost > 0) {
+      tiers.push({ upTo: unit, flat: Math.round((baseCost + overtimeCost) * 100) / 100 });
+    }
+    tiers.push({ upTo: null, price: overtimeCost, unit: unit });
+    return tiers;
+  }
+  
+  // 补全阶梯的起止时间和计费单位
+  function normalizeTiers(tiers, defaultUnit) {
+    let from = 0;
+    return tiers.map(tier => {
+      const upTo = tier.upTo === null || tier.upTo === undefined || tier.upTo === '' ? null : Number(tier.upTo);
+      const normalized = {
+        from: from,
+        upTo: upTo,
+        flat: tier.flat !== undefined && tier.flat !== null ? Number(tier.flat) : null,
+        price: Number(tier.price) || 0,
+        unit: Math.max(1, parseInt(tier.unit) || defaultUnit)
+      };
+      from = upTo === null ? Infinity : upTo;
+      return normalized;
+    });
+  }
+  
+  // 解析 "HH:MM" 为当天的分钟数
+  function parseClockMinutes(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 24 || minutes > 59 || hours * 60 + minutes > DAY_MINUTES) return null;
+    return (hours * 60 + minutes) % DAY_MINUTES;
+  }
+  
+  // 某一时刻当天零点加上指定分钟数的时间戳
+  function clockAt(timestamp, minutesOfDay, dayOffset = 0) {
+    const date = new Date(timestamp);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayOffset, 0, minutesOfDay).getTime();
+  }
+  
+  // 查找某一时刻所在的时段，返回时段及本次出现的开始时间
+  function findPricingPeriod(rule, timestamp) {
+    const date = new Date(timestamp);
+    const minutesOfDay = date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+    
+    for (let i = 0; i < rule.periods.length; i++) {
+      const period = rule.periods[i];
+      const inPeriod = period.from === period.to ||
+        (period.from < period.to ?
+          minutesOfDay >= period.from && minutesOfDay < period.to :
+          minutesOfDay >= period.from || minutesOfDay < period.to);
+      
+      if (inPeriod) {
+        let occurrenceStart = clockAt(timestamp, period.from);
+        if (occurrenceStart > timestamp) {
+          occurrenceStart = clockAt(timestamp, period.from, -1);
+        }
+        return { index: i, period: period, key: `${i}@${occurrenceStart}` };
+      }
+    }
+    
+    return null;
+  }
+  
+  // 下一个时段切换的时间戳，没有分时段时返回 Infinity
+  function nextPeriodBoundary(rule, timestamp) {
+    let next = Infinity;
+    rule.periods.forEach(period => {
+      [period.from, period.to].forEach(minutesOfDay => {
+        let boundary = clockAt(timestamp, minutesOfDay);
+        if (boundary <= timestamp) {
+          boundary = clockAt(timestamp, minutesOfDay, 1);
+        }
+        next = Math.min(next, boundary);
+      });
+    });
+    return next;
+  }
+  
+  // 生成计费明细：从入场开始依次计算每个计费单位，直到 untilMs(相对入场的毫秒数)
+  // 每一项的 at 表示停车时长超过该值时产生这笔费用(已按免费时长顺延)，amount 已扣除封顶部分
+  function buildChargeSchedule(rule, startMs, untilMs) {
+    const normalized = normalizePricingRule(rule);
+    const freeMs = normalized.freeTime * MINUTE_MS;
+    const charges = [];
+    const chargedFlatTiers = {};
+    const periodTotals = {};
+    const dayTotals = {};
+    
+    // 每次循环至少前进1分钟，循环次数不超过停车的分钟数，长时间停车按分钟计费时也会算完整个时长
+    let offset = 0;
+    
+    while (offset < untilMs) {
+      const clock = startMs + offset;
+      const match = findPricingPeriod(normalized, clock);
+      const tiers = match ? match.period.tiers : normalized.tiers;
+      const offsetMinutes = offset / MINUTE_MS;
+      const tierIndex = tiers.findIndex(tier => tier.upTo === null || offsetMinutes < tier.upTo);
+      
+      if (tierIndex === -1) {
+        // 阶梯没有覆盖到的时长不收费
+        const boundary = nextPeriodBoundary(normalized, clock);
+        if (boundary === Infinity) break;
+        offset = Math.max(boundary - startMs, offset + MINUTE_MS);
+        continue;
+      }
+      
+      const tier = tiers[tierIndex];
+      let amount;
+      let nextOffset;
+      
+      if (tier.flat !== null) {
+        // 一口价阶梯：进入时收取一次，直到阶梯或时段结束
+        const flatKey = `${match ? match.index : 'base'}:${tierIndex}`;
+        amount = chargedFlatTiers[flatKey] ? 0 : tier.flat;
+        chargedFlatTiers[flatKey] = true;
+        
+        const tierEnd = tier.upTo === null ? Infinity : tier.upTo * MINUTE_MS;
+        const boundary = nextPeriodBoundary(normalized, clock) - startMs;
+        nextOffset = Math.min(tierEnd, boundary, untilMs);
+      } else {
+        // 按单位计费：从阶梯开始对齐，按单位开始时刻计价
+        const unitMs = tier.unit * MINUTE_MS;
+        const tierStart = tier.from * MINUTE_MS;
+        const unitIndex = Math.floor((offset - tierStart) / unitMs);
+        amount = tier.price;
+        nextOffset = tierStart + (unitIndex + 1) * unitMs;
+      }
+      
+      // 封顶：先按时段封顶，再按每日封顶
+      if (amount > 0 && match && match.period.cap) {
+        const used = periodTotals[match.key] || 0;
+        amount = Math.max(0, Math.min(amount, match.period.cap - used));
+        periodTotals[match.key] = used + amount;
+      }
+      if (amount > 0 && normalized.dailyCap) {
+        const dayKey = normalized.capMode === 'calendar' ?
+          new Date(clock).toDateString() :
+          Math.floor(offset / (DAY_MINUTES * MINUTE_MS));
+        const used = dayTotals[dayKey] || 0;
+        amount = Math.max(0, Math.min(amount, normalized.dailyCap - used));
+        dayTotals[dayKey] = used + amount;
+      }
+      
+      if (amount > 0) {
+        charges.push({
+          at: Math.max(offset, freeMs),
+          amount: Math.round(amount * 100) / 100,
+          label: match ? match.period.label : null
+        });
+      }
+      
+      offset = Math.max(nextOffset, offset + MINUTE_MS);
+    }
+    
+    return charges;
+  }
+  
+  // 按指定规则计算停车费用
+  function calculateCostForRule(rule, elapsedTime, startMs) {
+    if (elapsedTime <= 0) return 0;
+    if (elapsedTime <= (rule.freeTime || 0) * MINUTE_MS) return 0;
+    
+    const total = buildChargeSchedule(rule, startMs, elapsedTime)
+      .reduce((sum, charge) => sum + charge.amount, 0);
+    
+    return Math.round(total * 100) / 100;
+  }
+  
+  // 查找停车时长超过 elapsedTime 之后的价格变化点，返回相对入场的毫秒数列表
+  function getPriceChanges(rule, startMs, elapsedTime, horizon = DAY_MINUTES * MINUTE_MS * 2) {
+    const changes = [];
+    buildChargeSchedule(rule, startMs, elapsedTime + horizon).forEach(charge => {
+      if (charge.at >= elapsedTime && changes[changes.length - 1] !== charge.at) {
+        changes.push(charge.at);
+      }
+    });
+    return changes;
+  }
+  
+  // 规则的可读描述，每项为一行
+  function describePricingRule(rule) {
+    const normalized = normalizePricingRule(rule);
+    const lines = [];
+    
+    lines.push(normalized.freeTime > 0 ? t('pricing.freeMinutes', { minutes: normalized.freeTime }) : t('pricing.noFreeTime'));
+    
+    const describeTiers = (tiers, prefix) => {
+      tiers.forEach(tier => {
+        const range = tier.upTo === null ?
+          (tier.from > 0 ? t('pricing.after', { duration: formatRuleMinutes(tier.from) }) : '') :
+          `${formatRuleMinutes(tier.from === 0 && !prefix ? normalized.freeTime : tier.from, true)}-${formatRuleMinutes(tier.upTo)}`;
+        const price = tier.flat !== null ?
+          formatMoney(tier.flat) :
+          `${formatMoney(tier.price)}/${formatRuleUnit(tier.unit)}`;
+        lines.push(`${prefix || ''}${range ? t('pricing.line', { range: range, price: price }) : price}`);
+      });
+    };
+    
+    if (normalized.periods.length > 0) {
+      normalized.periods.forEach(period => {
+        const clock = `${formatClockMinutes(period.from)}-${formatClockMinutes(period.to)}`;
+        describeTiers(period.tiers, `${period.label}(${clock}) `);
+        if (period.cap) {
+          lines.push(t('pricing.periodCap', { label: period.label, amount: formatMoney(period.cap) }));
+        }
+      });
+      describeTiers(normalized.tiers, t('pricing.otherPeriods'));
+    } else {
+      describeTiers(normalized.tiers);
+    }
+    
+    if (normalized.dailyCap) {
+      lines.push(t(normalized.capMode === 'calendar' ? 'pricing.dailyCap' : 'pricing.rollingCap', { amount: formatMoney(normalized.dailyCap) }));
+    }
+    
+    return lines;
+  }
+  
+  // 规则描述中的时长，0 分钟时可显示为具体分钟数
+  function formatRuleMinutes(minutes, keepZero) {
+    if (minutes === 0 && keepZero) return t('duration.minutes', { minutes: 0 });
+    return formatDuration(minutes * MINUTE_MS);
+  }
+  
+  // 计费单位的显示文字
+  function formatRuleUnit(unitMinutes) {
+    return unitMinutes === 60 ? t('duration.hourUnit') : formatDuration(unitMinutes * MINUTE_MS);
+  }
+  
+  // 将当天分钟数格式化为 HH:MM
+  function formatClockMinutes(minutes) {
+    return `${padZero(Math.floor(minutes / 60))}:${padZero(minutes % 60)}`;
+  }
+  
+  // ===== 规则字符串 =====
+  // 预设规则使用逗号分隔的规则字符串，例如 "15min-free,2h-5y,2y-per-hour"。语法：
+  //   时长   1h、30min、1h30min、1.5h
+  //   金额   5y、2.5y
+  //   <时长>-free                      免费时长，如 15min-free、0min-free
+  //   <时长>-<金额>                    到累计时长为止一口价，如 2h-5y
+  //   <金额>-per-visit                 按次收费，之后不再计费，如 10y-per-visit
+  //   <金额>-per-<单位>[-until-<时长>] 按单位计费，单位为 hour 或时长，如 2y-per-hour、3y-per-30min-until-2h
+  //   cap-<金额>[-per-24h|-per-day]    封顶，默认自入场起每24小时，per-day 为按自然日
+  //   名称(HH:MM-HH:MM;片段;...)       分时段价格，片段可为一口价、按单位计费和 cap-<金额>(每个时段封顶)，
+  //                                    如 夜间(20:00-08:00;1y-per-hour;cap-10y)
+  //   max-<时长>                       最长停放时长，如 max-2h
+  //   no-parking[-<星期>]-HH:MM-HH:MM  禁停时段，星期为 sun、mon…sat，多天用 + 连接，省略表示每天，
+  //                                    如 no-parking-07:00-09:00、no-parking-tue-08:00-10:00(周二街道清扫)
+  // 阶梯按出现顺序排列，只有最后一段可以没有截止时长
+  
+  const RULE_MONEY_PATTERN = '(\\d+(?:\\.\\d{1,2})?)y';
+  const RULE_DURATION_PATTERN = '((?:\\d+(?:\\.\\d+)?h)?(?:\\d+min)?)';
+  
+  // 解析规则字符串中的时长，返回分钟数
+  function parseRuleDuration(text) {
+    const match = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)min)?$/.exec(text);
+    if (!text || !match) return null;
+    const minutes = (parseFloat(match[1]) || 0) * 60 + (parseInt(match[2]) || 0);
+    return Math.round(minutes) === minutes ? minutes : null;
+  }
+  
+  // 将分钟数格式化为规则字符串中的时长
+  function formatRuleDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (minutes > 0 && rest === 0) return `${hours}h`;
+    return hours > 0 ? `${hours}h${rest}min` : `${rest}min`;
+  }
+  
+  // 将金额格式化为规则字符串中的金额
+  function formatRuleMoney(amount) {
+    return `${Math.round(amount * 100) / 100}y`;
+  }
+  
+  // 按顶层逗号拆分规则字符串，括号内的内容保持完整
+  function splitRuleClauses(ruleString, separator) {
+    const clauses = [];
+    let depth = 0;
+    let current = '';
+    
+    for (const char of ruleString) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (depth < 0) {
+        throw new Error(t('ruleString.unbalanced'));
+      }
+      if (char === separator && depth === 0) {
+        clauses.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    
+    if (depth !== 0) {
+      throw new Error(t('ruleString.unbalanced'));
+    }
+    clauses.push(current.trim());
+    
+    return clauses;
+  }
+  
+  // 解析阶梯片段(一口价/按次/按单位)，无法识别时返回 null
+  function parseTierClause(clause, describe) {
+    let match = new RegExp(`^${RULE_MONEY_PATTERN}-per-visit$`).exec(clause);
+    if (match) {
+      return { upTo: null, flat: parseFloat(match[1]) };
+    }
+    
+    match = new RegExp(`^${RULE_MONEY_PATTERN}-per-([^-]+)(?:-until-([^-]+))?$`).exec(clause);
+    if (match) {
+      const unit = match[2] === 'hour' ? 60 : parseRuleDuration(match[2]);
+      if (!unit) {
+        throw new Error(t('ruleString.badUnit', { describe: describe, value: match[2] }));
+      }
+      let upTo = null;
+      if (match[3] !== undefined) {
+        upTo = parseRuleDuration(match[3]);
+        if (!upTo) {
+          throw new Error(t('ruleString.badUpTo', { describe: describe, value: match[3] }));
+        }
+      }
+      return { upTo: upTo, price: parseFloat(match[1]), unit: unit };
+    }
+    
+    match = new RegExp(`^${RULE_DURATION_PATTERN}-${RULE_MONEY_PATTERN}$`).exec(clause);
+    if (match) {
+      const upTo = parseRuleDuration(match[1]);
+      if (!upTo) {
+        throw new Error(t('ruleString.badDuration', { describe: describe, value: match[1] }));
+      }
+      return { upTo: upTo, flat: parseFloat(match[2]) };
+    }
+    
+    return null;
+  }
+  
+  // 检查阶梯的截止时长是否递增，且只有最后一段没有截止时长
+  function validateRuleTiers(tiers, describe) {
+    let lastUpTo = 0;
+    tiers.forEach((tier, index) => {
+      if (tier.upTo === null) {
+        if (index < tiers.length - 1) {
+          throw new Error(t('ruleString.openTierNotLast', { describe: describe }));
+        }
+        return;
+      }
+      if (tier.upTo <= lastUpTo) {
+        throw new Error(t('ruleString.tiersNotIncreasing', { describe: describe, current: formatRuleDuration(tier.upTo), previous: formatRuleDuration(lastUpTo) }));
+      }
+      lastUpTo = tier.upTo;
+    });
+  }
+  
+  // 解析分时段片段
+  function parsePeriodClause(clause, describe) {
+    const match = /^([^()]*)\((\d{1,2}:\d{2})-(\d{1,2}:\d{2});(.*)\)$/.exec(clause);
+    if (!match) return null;
+    
+    const label = match[1].trim() || `${match[2]}-${match[3]}`;
+    if (parseClockMinutes(match[2]) === null || parseClockMinutes(match[3]) === null) {
+      throw new Error(t('ruleString.badClock', { describe: describe, value: `${match[2]}-${match[3]}` }));
+    }
+    
+    const period = { label: label, from: match[2], to: match[3], cap: null };
+    const tiers = [];
+    
+    splitRuleClauses(match[4], ';').forEach(inner => {
+      const capMatch = new RegExp(`^cap-${RULE_MONEY_PATTERN}$`).exec(inner);
+      if (capMatch) {
+        period.cap = parseFloat(capMatch[1]);
+        return;
+      }
+      const tier = parseTierClause(inner, describe);
+      if (!tier) {
+        throw new Error(t('ruleString.badPeriodPart', { describe: describe, value: inner }));
+      }
+      tiers.push(tier);
+    });
+    
+    if (tiers.length === 0) {
+      throw new Error(t('ruleString.periodMissingPrice', { describe: describe }));
+    }
+    validateRuleTiers(tiers, describe);
+    
+    // 只有一段按单位计费时使用简单结构，和设置弹窗保持一致
+    if (tiers.length === 1 && tiers[0].flat === undefined && tiers[0].upTo === null) {
+      period.price = tiers[0].price;
+      period.unit = tiers[0].unit;
+    } else {
+      period.tiers = tiers;
+    }
+    
+    return period;
+  }
+  
+  // 解析禁停时段片段，不是禁停时段时返回 null
+  function parseRestrictionClause(clause, describe) {
+    const match = /^no-parking(?:-([a-z+]+))?-(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/.exec(clause);
+    if (!match) return null;
+    
+    const days = match[1] ? match[1].split('+').map(day => RESTRICTION_DAYS.indexOf(day)) : [];
+    if (days.some(day => day < 0)) {
+      throw new Error(t('ruleString.badDays', { describe: describe, value: match[1] }));
+    }
+    if (parseClockMinutes(match[2]) === null || parseClockMinutes(match[3]) === null) {
+      throw new Error(t('ruleString.badClock', { describe: describe, value: `${match[2]}-${match[3]}` }));
+    }
+    
+    return { days: normalizeRestrictionDays(days), from: match[2], to: match[3] };
+  }
+  
+  // 解析规则字符串，返回规则对象；字符串无效时抛出带有说明的错误
+  function parseRuleString(ruleString) {
+    if (typeof ruleString !== 'string' || ruleString.trim() === '') {
+      throw new Error(t('ruleString.empty'));
+    }
+    
+    const rule = { freeTime: null, dailyCap: 0, capMode: 'rolling', tiers: [], periods: [], maxStay: 0, restrictions: [] };
+    
+    splitRuleClauses(ruleString.trim(), ',').forEach((clause, index) => {
+      const describe = t('ruleString.part', { index: index + 1, clause: clause });
+      
+      if (clause === '') {
+        throw new Error(t('ruleString.emptyPart', { index: index + 1 }));
+      }
+      
+      const freeMatch = /^(.*)-free$/.exec(clause);
+      if (freeMatch) {
+        const minutes = freeMatch[1] === '0min' ? 0 : parseRuleDuration(freeMatch[1]);
+        if (minutes === null) {
+          throw new Error(t('ruleString.badFreeTime', { describe: describe }));
+        }
+        if (rule.freeTime !== null) {
+          throw new Error(t('ruleString.duplicateFreeTime', { describe: describe }));
+        }
+        rule.freeTime = minutes;
+        return;
+      }
+      
+      const capMatch = new RegExp(`^cap-${RULE_MONEY_PATTERN}(?:-per-(24h|day))?$`).exec(clause);
+      if (capMatch) {
+        rule.dailyCap = parseFloat(capMatch[1]);
+        rule.capMode = capMatch[2] === 'day' ? 'calendar' : 'rolling';
+        return;
+      }
+      
+      const period = parsePeriodClause(clause, describe);
+      if (period) {
+        rule.periods.push(period);
+        return;
+      }
+      
+      const maxMatch = /^max-(.*)$/.exec(clause);
+      if (maxMatch) {
+        const minutes = parseRuleDuration(maxMatch[1]);
+        if (!minutes) {
+          throw new Error(t('ruleString.badMaxStay', { describe: describe, value: maxMatch[1] }));
+        }
+        rule.maxStay = minutes;
+        return;
+      }
+      
+      const restriction = parseRestrictionClause(clause, describe);
+      if (restriction) {
+        rule.restrictions.push(restriction);
+        return;
+      }
+      
+      const tier = parseTierClause(clause, describe);
+      if (tier) {
+        rule.tiers.push(tier);
+        return;
+      }
+      
+      throw new Error(t('ruleString.unknown', { describe: describe }));
+    });
+    
+    if (rule.tiers.length === 0 && rule.periods.length === 0) {
+      throw new Error(t('ruleString.missingPrice'));
+    }
+    validateRuleTiers(rule.tiers, t('ruleString.rule'));
+    
+    return toEditableRule(rule);
+  }
+  
+  // 将解析出的阶梯转换为表单使用的结构：能用基础时长/基础费用/超时费用表示时不保留阶梯
+  function toEditableRule(parsed) {
+    const tiers = parsed.tiers;
+    const last = tiers[tiers.length - 1];
+    const first = tiers[0];
+    const rule = {
+      freeTime: parsed.freeTime || 0,
+      baseTime: 0,
+      baseCost: 0,
+      overtimeCost: 0,
+      unit: 60,
+      dailyCap: parsed.dailyCap,
+      capMode: parsed.capMode,
+      tiers: [],
+      periods: parsed.periods,
+      maxStay: parsed.maxStay,
+      restrictions: parsed.restrictions
+    };
+    
+    const isRate = tier => tier && tier.flat === undefined;
+    const isSimple = tiers.length > 0 && isRate(last) && last.upTo === null &&
+      (tiers.length === 1 ||
+        (tiers.length === 2 && !isRate(first) && first.upTo % 60 === 0));
+    
+    if (!isSimple) {
+      rule.tiers = tiers;
+    }
+    
+    // 表单和快捷时长按钮使用的基础字段
+    if (first && !isRate(first) && first.upTo !== null) {
+      rule.baseTime = Math.round(first.upTo / 60);
+      rule.baseCost = first.flat;
+    }
+    if (isRate(last)) {
+      rule.overtimeCost = last.price;
+      rule.unit = last.unit;
+    }
+    
+    return rule;
+  }
+  
+  // 将阶梯格式化为规则片段
+  function formatTierClause(tier, defaultUnit) {
+    if (tier.flat !== undefined && tier.flat !== null) {
+      return tier.upTo === null || tier.upTo === undefined ?
+        `${formatRuleMoney(tier.flat)}-per-visit` :
+        `${formatRuleDuration(tier.upTo)}-${formatRuleMoney(tier.flat)}`;
+    }
+    
+    const unit = parseInt(tier.unit) || defaultUnit;
+    const clause = `${formatRuleMoney(tier.price || 0)}-per-${unit === 60 ? 'hour' : formatRuleDuration(unit)}`;
+    return tier.upTo === null || tier.upTo === undefined ? clause : `${clause}-until-${formatRuleDuration(tier.upTo)}`;
+  }
+  
+  // 将规则对象转换为规则字符串，和 parseRuleString 互为逆操作
+  function ruleToRuleString(rule) {
+    const unit = parseInt(rule.unit) || 60;
+    const parts = [`${formatRuleDuration(rule.freeTime || 0)}-free`];
+    
+    const tiers = Array.isArray(rule.tiers) && rule.tiers.length > 0 ? rule.tiers : legacyPricingTiers(rule, unit);
+    tiers.forEach(tier => parts.push(formatTierClause(tier, unit)));
+    
+    if (rule.dailyCap > 0) {
+      parts.push(`cap-${formatRuleMoney(rule.dailyCap)}${rule.capMode === 'calendar' ? '-per-day' : ''}`);
+    }
+    
+    (Array.isArray(rule.periods) ? rule.periods : []).forEach(period => {
+      const label = String(period.label || '').replace(/[,;()]/g, '').trim();
+      const periodTiers = Array.isArray(period.tiers) && period.tiers.length > 0 ?
+        period.tiers : [{ upTo: null, price: period.price || 0, unit: period.unit || unit }];
+      const inner = periodTiers.map(tier => formatTierClause(tier, unit));
+      if (period.cap > 0) {
+        inner.push(`cap-${formatRuleMoney(period.cap)}`);
+      }
+      parts.push(`${label}(${period.from}-${period.to};${inner.join(';')})`);
+    });
+    
+    if (getMaxStay(rule) > 0) {
+      parts.push(`max-${formatRuleDuration(getMaxStay(rule))}`);
+    }
+    getRestrictions(rule).forEach(restriction => {
+      const days = restriction.days.length > 0 ? `-${restriction.days.map(day => RESTRICTION_DAYS[day]).join('+')}` : '';
+      parts.push(`no-parking${days}-${restriction.from}-${restriction.to}`);
+    });
+    
+    return parts.join(',');
+  }
+  
+  // 将旧版 "custom-免费-基础时长-基础费用-超时费用" 格式转换为规则对象
+  function parseLegacyCustomRuleString(ruleString) {
+    const parts = ruleString.split('-');
+    if (parts[0] !== 'custom' || parts.length < 5) return null;
+    
+    return {
+      freeTime: parseInt(parts[1]) || 0,
+      baseTime: parseInt(parts[2]) || 0,
+      baseCost: parseFloat(parts[3]) || 0,
+      overtimeCost: parseFloat(parts[4]) || 0
+    };
+  }
+  
+  // 生成规则描述
+  function generateRuleDescription(rule) {
+    const normalized = normalizePricingRule(rule);
+    const parts = [];
+    
+    parts.push(normalized.freeTime > 0 ? t('pricing.freeMinutes', { minutes: normalized.freeTime }) : t('pricing.short.noFree'));
+    
+    normalized.tiers.forEach(tier => {
+      if (tier.flat !== null) {
+        if (tier.flat > 0) {
+          parts.push(t('pricing.short.flat', {
+            duration: formatRuleMinutes(tier.upTo === null ? tier.from : tier.upTo),
+            amount: formatMoney(tier.flat, { compact: true })
+          }));
+        }
+      } else {
+        const price = `${formatMoney(tier.price, { compact: true })}/${formatRuleUnit(tier.unit)}`;
+        parts.push(tier.from > 0 ? t('pricing.short.overtime', { price: price }) : price);
+      }
+    });
+    
+    normalized.periods.forEach(period => {
+      parts.push(t('pricing.short.period', { label: period.label }));
+    });
+    
+    if (normalized.dailyCap) {
+      parts.push(t(normalized.capMode === 'calendar' ? 'pricing.short.dailyCap' : 'pricing.short.rollingCap', {
+        amount: formatMoney(normalized.dailyCap, { compact: true })
+      }));
+    }
+    
+    if (getMaxStay(rule) > 0) {
+      parts.push(t('limit.short.maxStay', { duration: formatRuleMinutes(getMaxStay(rule)) }));
+    }
+    if (getRestrictions(rule).length > 0) {
+      parts.push(t('limit.short.restricted', {
+        windows: getRestrictions(rule).map(describeRestriction).join(t('common.listSeparator'))
+      }));
+    }
+    
+    return parts.join(t('common.clauseSeparator'));
+  }
+  
+  // 将旧版自定义规则迁移为规则字符串：旧规则使用 "custom-a-b-c-d" 字符串，并把计费字段直接保存在规则对象上
+  function migratePresetRule(preset) {
+    try {
+      parseRuleString(preset.ruleString);
+      return preset;
+    } catch (error) {
+      // 无法解析，需要迁移
+    }
+    
+    let rule = null;
+    if (typeof preset.freeTime === 'number') {
+      rule = preset;
+    } else if (typeof preset.ruleString === 'string') {
+      rule = parseLegacyCustomRuleString(preset.ruleString);
+    }
+    
+    if (!rule) {
+      console.warn('无法迁移预设规则:', preset);
+      return preset;
+    }
+    
+    const ruleString = ruleToRuleString(rule);
+    console.log(`迁移预设规则 "${preset.name}": ${preset.ruleString} -> ${ruleString}`);
+    
+    return {
+      id: preset.id,
+      name: preset.name,
+      ruleString: ruleString,
+      description: generateRuleDescription(parseRuleString(ruleString)),
+      isDefault: false,
+      ...pickReminderSettings(preset)
+    };
+  }
+  
+  // ===== 默认规则和常用规则 =====
+  const DEFAULT_PRICING_RULE = {
+    freeTime: 15, // 免费时长(分钟)
+    baseTime: 2,  // 基础时长(小时)
+    baseCost: 5,  // 基础费用(元)
+    overtimeCost: 2, // 超时费用(元/小时)
+    reminderAdvance: 10 // 提醒提前时间(分钟)
+  };
+  
+  // 内置的常用规则，显示时的名称和描述按当前语言生成(见 getPresetName、getPresetDescription)
+  const DEFAULT_PRESET_RULES = [
+    {
+      id: 'mall',
+      name: '商场标准',
+      ruleString: '15min-free,2h-5y,2y-per-hour',
+      description: '15分钟免费，2小时5元，超时2元/小时',
+      isDefault: true
+    },
+    {
+      id: 'office',
+      name: '写字楼',
+      ruleString: '30min-free,1h-3y,3y-per-hour',
+      description: '30分钟免费，1小时3元，超时3元/小时',
+      isDefault: true
+    },
+    {
+      id: 'scenic',
+      name: '景区停车场',
+      ruleString: '0min-free,12y-per-hour',
+      description: '无免费，12元/小时',
+      isDefault: true
+    },
+    {
+      id: 'airport',
+      name: '机场/车站',
+      ruleString: '15min-free,1h-10y,5y-per-hour',
+      description: '15分钟免费，1小时10元，超时5元/小时',
+      isDefault: true
+    }
+  ];
+  
+  // 常用规则显示的名称：内置规则按当前语言显示，用户添加的规则显示用户起的名称
+  function getPresetName(preset) {
+    return preset.isDefault ? t(`preset.${preset.id}`) : preset.name;
+  }
+  
+  // 常用规则显示的描述：由规则字符串按当前语言生成，无法解析时使用保存的描述
+  function getPresetDescription(preset) {
+    try {
+      return generateRuleDescription(parseRuleString(preset.ruleString));
+    } catch (error) {
+      return preset.description || '';
+    }
+  }
+  
+  // 由常用规则生成计费规则：使用常用规则中保存的提醒设置，没有时沿用当前规则的提醒设置；
+  // 费用提醒和暂停期间的计费方式沿用当前规则。规则字符串无效时抛出错误
+  function buildPresetRule(ruleString, preset, currentRule) {
+    const rule = parseRuleString(ruleString);
+    Object.assign(rule, pickReminderSettings(preset && (preset.reminderAdvance || preset.reminderStages) ? preset : currentRule));
+    rule.costAlert = currentRule.costAlert || 0;
+    rule.pauseMode = getPauseMode(currentRule);
+    return rule;
+  }
+  
+  // 快捷时长按钮：规则的免费时长和基础时长，加上1、2、4、8小时(与基础时长相同的不重复)，最后是"清除"
+  function getQuickDurations(rule) {
+    const freeTimeMinutes = rule.freeTime;
+    const baseTimeHours = rule.baseTime;
+    const durations = [
+      { hours: 0, minutes: freeTimeMinutes, label: formatDuration(freeTimeMinutes * MINUTE_MS) },
+      { hours: baseTimeHours, minutes: 0, label: formatDuration(baseTimeHours * 60 * MINUTE_MS) },
+      { hours: 0, minutes: 0, label: t('duration.clear') }
+    ];
+    
+    [1, 2, 4, 8].forEach(hours => {
+      if (hours !== baseTimeHours) {
+        durations.splice(2, 0, { hours: hours, minutes: 0, label: formatDuration(hours * 60 * MINUTE_MS) });
+      }
+    });
+    
+    return durations;
+  }
+  
+  // 点击快捷时长后的时长：累加到已选的时长上，分钟满60进位；"清除"(0小时0分钟)归零
+  function addQuickDuration(current, quick) {
+    if (quick.hours === 0 && quick.minutes === 0) {
+      return { hours: 0, minutes: 0 };
+    }
+    
+    const totalMinutes = (current.hours + quick.hours) * 60 + current.minutes + quick.minutes;
+    return { hours: Math.floor(totalMinutes / 60), minutes: totalMinutes % 60 };
+  }
+  
+  // ===== 停车限制 =====
+  // 路边停车除了收费还常有限制，违反时的罚款远高于停车费。规则可以带有：
+  //   maxStay       最长停放时长(分钟)，0 表示不限，自入场(开始时间)起算，暂停不影响
+  //   restrictions  禁停时段 [{ days, from, to }]，days 为星期几(0 为周日)，为空表示每天；
+  //                 from/to 为 "HH:MM"，跨零点的时段(如 22:00-06:00)属于开始的那一天
+  // 到达限制前按规则的提醒阶段提醒(见 buildSessionReminderSchedule)，计时卡片按 getParkingLimits 显示警告。
+  const RESTRICTION_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const LIMIT_FALLBACK_STAGE = { minutes: 10, level: 'urgent' }; // 规则没有提醒阶段时，停车限制仍提前提醒一次
+  
+  // 规则的最长停放时长(分钟)，不限时为 0
+  function getMaxStay(rule) {
+    return rule && rule.maxStay > 0 ? Math.round(rule.maxStay) : 0;
+  }
+  
+  // 规则中有效的禁停时段
+  function getRestrictions(rule) {
+    return (rule && Array.isArray(rule.restrictions) ? rule.restrictions : [])
+      .filter(restriction => parseClockMinutes(restriction.from) !== null && parseClockMinutes(restriction.to) !== null)
+      .map(restriction => ({
+        days: normalizeRestrictionDays(restriction.days),
+        from: restriction.from,
+        to: restriction.to
+      }));
+  }
+  
+  // 去重并排序星期几，七天都选时视为每天
+  function normalizeRestrictionDays(days) {
+    const unique = Array.from(new Set((Array.isArray(days) ? days : []).map(Number)))
+      .filter(day => Number.isInteger(day) && day >= 0 && day < 7)
+      .sort((a, b) => a - b);
+    return unique.length === 7 ? [] : unique;
+  }
+  
+  // 禁停时段的描述，如"周二 08:00-10:00"、"每天 07:00-09:00"
+  function describeRestriction(restriction) {
+    const days = restriction.days.length > 0 ?
+      restriction.days.map(day => t(`limit.day.${day}`)).join(t('common.listSeparator')) :
+      t('limit.everyDay');
+    return t('limit.window', { days: days, from: restriction.from, to: restriction.to });
+  }
+  
+  // 停车限制的可读描述，每项为一行，没有限制时为空
+  function describeParkingLimits(rule) {
+    const lines = [];
+    if (getMaxStay(rule) > 0) {
+      lines.push(t('limit.maxStay', { duration: formatRuleMinutes(getMaxStay(rule)) }));
+    }
+    getRestrictions(rule).forEach(restriction => {
+      lines.push(t('limit.restricted', { window: describeRestriction(restriction) }));
+    });
+    return lines;
+  }
+  
+  // fromMs 到 untilMs 之间出现的禁停时段(包括 fromMs 时正在进行的)，按开始时间排列：
+  // [{ start, end, restriction }]
+  function getRestrictionWindows(rule, fromMs, untilMs) {
+    const windows = [];
+    getRestrictions(rule).forEach(restriction => {
+      const from = parseClockMinutes(restriction.from);
+      const length = ((parseClockMinutes(restriction.to) - from + DAY_MINUTES) % DAY_MINUTES || DAY_MINUTES) * MINUTE_MS;
+      
+      // 从前一天开始，跨零点的时段也能找到
+      for (let offset = -1; clockAt(fromMs, from, offset) < untilMs; offset++) {
+        const start = clockAt(fromMs, from, offset);
+        if (start + length <= fromMs) continue;
+        if (restriction.days.length > 0 && !restriction.days.includes(new Date(start).getDay())) continue;
+        windows.push({ start: start, end: start + length, restriction: restriction });
+      }
+    });
+    return windows.sort((a, b) => a.start - b.start);
+  }
+  
+  // 一次停车在 now 时的限制情况，没有时各项为 null：
+  //   maxStayAt  最长停放的截止时间
+  //   startedIn  入场时所在的禁停时段
+  //   current    此刻所在的禁停时段
+  //   next       之后24小时内将要开始的第一个禁停时段
+  function getParkingLimits(rule, startMs, now) {
+    const maxStay = getMaxStay(rule);
+    const from = Math.min(startMs, now);
+    const windows = getRestrictionWindows(rule, from, Math.max(startMs, now) + DAY_MS);
+    const contains = at => window => window.start <= at && at < window.end;
+    
+    return {
+      maxStayAt: maxStay > 0 ? startMs + maxStay * MINUTE_MS : null,
+      startedIn: windows.find(contains(startMs)) || null,
+      current: windows.find(contains(now)) || null,
+      next: windows.find(window => window.start > Math.max(startMs, now)) || null
+    };
+  }
+  
+  // 一辆车之后要到达的停车限制：最长停放截止和之后24小时内开始的禁停时段，
+  // [{ key, at, window }]，key 区分不同的限制，window 为禁停时段(最长停放时没有)
+  function getUpcomingLimits(session, now) {
+    const rule = session.rules;
+    const startMs = new Date(session.startTime).getTime();
+    const limits = [];
+    
+    const maxStay = getMaxStay(rule);
+    if (maxStay > 0) {
+      limits.push({ key: 'max-stay', at: startMs + maxStay * MINUTE_MS, window: null });
+    }
+    getRestrictionWindows(rule, Math.max(startMs, now), now + DAY_MS).forEach(window => {
+      if (window.start <= Math.max(startMs, now)) return;
+      limits.push({ key: `no-parking-${window.start}`, at: window.start, window: window });
+    });
+    return limits;
+  }
+  
+  // 到达限制前的提醒阶段，规则没有提醒阶段时使用 LIMIT_FALLBACK_STAGE
+  function getLimitStages(rule) {
+    const stages = getReminderStages(rule);
+    return stages.length > 0 ? stages : [LIMIT_FALLBACK_STAGE];
+  }
+  
+  // 停车限制的提醒内容，minutes 为距离限制的分钟数
+  function describeLimitReminder(session, limit, minutes) {
+    if (!limit.window) {
+      return t('notify.maxStayBody', {
+        name: session.name,
+        minutes: minutes,
+        duration: formatRuleMinutes(getMaxStay(session.rules)),
+        time: formatTime(new Date(limit.at))
+      });
+    }
+    return t('notify.restrictionBody', { name: session.name, minutes: minutes, window: describeRestriction(limit.window.restriction) });
+  }
+  
+  // 停车限制前的提醒：每个限制前按各个提醒阶段各提醒一次
+  function buildLimitReminders(session, now) {
+    const limitStages = getLimitStages(session.rules);
+    const reminders = [];
+    getUpcomingLimits(session, now).forEach(limit => {
+      limitStages.forEach((stage, index) => {
+        const at = limit.at - stage.minutes * MINUTE_MS;
+        if (at <= now) return;
+        reminders.push({
+          id: `limit-${session.id}-${limit.at}-${stage.minutes}`,
+          kind: 'limit',
+          sessionId: session.id,
+          at: at,
+          changeAt: limit.at,
+          stage: { index: index, count: limitStages.length, minutes: stage.minutes, level: stage.level },
+          vibrate: REMINDER_LEVELS[stage.level].vibrate,
+          title: t('notify.limitTitle', { name: session.name }),
+          body: describeLimitReminder(session, limit, stage.minutes)
+        });
+      });
+    });
+    return reminders;
+  }
+  
+  // ===== 优惠 =====
+  // 商场、超市停车场常有"消费满200免2小时"、会员折扣、凭小票减免等优惠，可以附加到一次停车(会话)上：
+  //   discounts  [{ id, type, value, label, minSpend, minMinutes, days }]
+  //     type     free-time 免停车时长(value 为分钟)、percent 按比例减免(value 为百分比)、
+  //              amount 减免金额、cap 最多支付(value 为金额)
+  //     label    说明(如"万达会员")，可以为空
+  //     条件都可以省略：minSpend 在商户消费满多少(与会话的消费金额 spend 比较)、minMinutes 停满多少分钟、
+  //     days 入场在星期几(0 为周日，为空表示每天)
+  //   spend      这次在商户消费的金额
+  // 多个优惠按免时长、比例、金额、封顶的顺序依次计算，实付不低于0。计时显示的费用、提醒、预算和停车记录都按优惠后的实付计算。
+  const DISCOUNT_TYPES = ['free-time', 'percent', 'amount', 'cap'];
+  
+  // 计算优惠所需的会话状态：{ discounts, spend, enteredAt(入场时间，用于星期条件) }
+  function getSessionDiscountContext(session) {
+    return {
+      discounts: Array.isArray(session.discounts) ? session.discounts : [],
+      spend: session.spend || 0,
+      enteredAt: session.startTime ? new Date(session.startTime).getTime() : null
+    };
+  }
+  
+  // 检查一项优惠，有问题时返回说明
+  function validateDiscount(discount) {
+    if (!DISCOUNT_TYPES.includes(discount.type)) {
+      return t('discount.typeInvalid');
+    }
+    if (!(discount.value > 0) || (discount.type === 'percent' && discount.value > 100)) {
+      return t(`discount.valueInvalid.${discount.type}`);
+    }
+    if ((discount.minSpend !== undefined && !(discount.minSpend >= 0)) ||
+      (discount.minMinutes !== undefined && !(Number.isInteger(discount.minMinutes) && discount.minMinutes >= 0))) {
+      return t('discount.conditionInvalid');
+    }
+    if (discount.days !== undefined && !(Array.isArray(discount.days) && discount.days.every(day => Number.isInteger(day) && day >= 0 && day < 7))) {
+      return t('discount.conditionInvalid');
+    }
+    return null;
+  }
+  
+  // 优惠的可读描述，如"免2小时(消费满¥200)"
+  function describeDiscount(discount) {
+    const amounts = {
+      'free-time': () => t('discount.describe.freeTime', { duration: formatRuleMinutes(discount.value) }),
+      percent: () => t('discount.describe.percent', { percent: discount.value }),
+      amount: () => t('discount.describe.amount', { amount: formatMoney(discount.value) }),
+      cap: () => t('discount.describe.cap', { amount: formatMoney(discount.value) })
+    };
+    const conditions = [];
+    if (discount.minSpend > 0) {
+      conditions.push(t('discount.describe.minSpend', { amount: formatMoney(discount.minSpend, { compact: true }) }));
+    }
+    if (discount.minMinutes > 0) {
+      conditions.push(t('discount.describe.minMinutes', { duration: formatRuleMinutes(discount.minMinutes) }));
+    }
+    const days = normalizeRestrictionDays(discount.days);
+    if (days.length > 0) {
+      conditions.push(days.map(day => t(`limit.day.${day}`)).join(t('common.listSeparator')));
+    }
+    
+    const text = discount.label ? `${discount.label} ${amounts[discount.type]()}` : amounts[discount.type]();
+    return conditions.length > 0 ? t('discount.describe.withConditions', { discount: text, conditions: conditions.join(t('common.listSeparator')) }) : text;
+  }
+  
+  // 停车 elapsedTime 时这项优惠的条件是否满足
+  function isDiscountEligible(discount, elapsedTime, context) {
+    if (discount.minSpend > 0 && !((context.spend || 0) >= discount.minSpend)) return false;
+    if (discount.minMinutes > 0 && elapsedTime < discount.minMinutes * MINUTE_MS) return false;
+    const days = normalizeRestrictionDays(discount.days);
+    if (days.length > 0 && context.enteredAt !== null && !days.includes(new Date(context.enteredAt).getDay())) return false;
+    return true;
+  }
+  
+  // 按规则和优惠计算费用：{ gross 原价, discount 优惠金额, net 实付, applied: [{ id, amount }] }
+  // context 见 getSessionDiscountContext，没有优惠时 net 等于 gross
+  function applyDiscounts(rule, elapsedTime, startMs, context) {
+    const gross = calculateCostForRule(rule, elapsedTime, startMs);
+    const round = amount => Math.round(amount * 100) / 100;
+    const eligible = (context ? context.discounts : [])
+      .filter(discount => isDiscountEligible(discount, elapsedTime, context))
+      .sort((a, b) => DISCOUNT_TYPES.indexOf(a.type) - DISCOUNT_TYPES.indexOf(b.type));
+    
+    let net = gross;
+    let billed = elapsedTime;
+    const applied = eligible.map(discount => {
+      let amount = 0;
+      switch (discount.type) {
+        case 'free-time': {
+          // 免掉的时长从停车时长中扣除
+          billed = Math.max(0, billed - discount.value * MINUTE_MS);
+          amount = round(net - calculateCostForRule(rule, billed, startMs));
+          break;
+        }
+        case 'percent':
+          amount = round(net * discount.value / 100);
+          break;
+        case 'amount':
+          amount = Math.min(net, discount.value);
+          break;
+        case 'cap':
+          amount = Math.max(0, round(net - discount.value));
+          break;
+      }
+      net = round(net - amount);
+      return { id: discount.id, amount: amount };
+    });
+    
+    return { gross: gross, discount: round(gross - net), net: net, applied: applied };
+  }
+  
+  // 按优惠后的实付查找价格变化点(见 getPriceChanges)。免时长的优惠把变化点整体推后，
+  // 比例、金额和封顶只会让一部分变化点不再涨价，因此从原价的变化点推出候选，只保留实付确实增加的
+  function getNetPriceChanges(rule, startMs, elapsedTime, horizon, context) {
+    if (!context || context.discounts.length === 0) {
+      return getPriceChanges(rule, startMs, elapsedTime, horizon);
+    }
+    
+    const shifts = [0];
+    context.discounts.filter(discount => discount.type === 'free-time').forEach(discount => {
+      shifts.push(shifts[shifts.length - 1] + discount.value * MINUTE_MS);
+    });
+    
+    const candidates = new Set();
+    getPriceChanges(rule, startMs, 0, elapsedTime + horizon).forEach(change => {
+      shifts.forEach(shift => candidates.add(change + shift));
+    });
+    
+    const netAt = at => applyDiscounts(rule, at, startMs, context).net;
+    return Array.from(candidates)
+      .filter(change => change >= elapsedTime && change <= elapsedTime + horizon)
+      .sort((a, b) => a - b)
+      .filter(change => netAt(change + 1) > netAt(change));
+  }
+  
+  // 一辆车在 at 时刻的原价、优惠和实付
+  function sessionCostBreakdownAt(session, at) {
+    const timing = getSessionTiming(session, at);
+    if (timing.billingStart === null) return { gross: 0, discount: 0, net: 0, applied: [] };
+    return applyDiscounts(session.rules, timing.elapsed, timing.billingStart, getSessionDiscountContext(session));
+  }
+  
+  // ===== 分级提醒 =====
+  // 每条计费规则可以设置多次提醒 reminderStages：[{ minutes, level }]，在每个价格变化点前 minutes 分钟各提醒一次，
+  // 例如 15、5、1 分钟；设置了停车时长时，到点再按 timeUpLevel 提醒一次"时间到"。level 决定提示音和震动的强弱。
+  // 旧规则只有 reminderAdvance(提前分钟数)，视为一次标准提醒；reminderAdvance 仍保存为最早一次提醒的分钟数。
+  // 费用和预算提醒按最早一次提醒提前(getMoneyAlertLead)。每辆车的提醒计划由 buildSessionReminderSchedule 生成。
+  // 各强度的名称见消息目录的 reminder.level.*
+  const REMINDER_LEVELS = {
+    gentle: { tones: [800], volume: 0.2, vibrate: [200] },
+    normal: { tones: [800, 1000, 1200], volume: 0.5, vibrate: [500, 200, 500] },
+    urgent: { tones: [800, 1000, 1200, 800, 1000, 1200], volume: 0.8, vibrate: [500, 200, 500, 200, 500, 200, 500] }
+  };
+  const MAX_REMINDER_STAGES = 5;
+  const MAX_REMINDER_STAGE_MINUTES = 60;
+  const REMINDER_SCHEDULE_LIMIT = 48; // 每辆车交给后台服务的价格变化提醒数量上限
+  
+  const MONEY_ALERT_MIN_DELAY_MS = 1000; // 已经来不及提前时，费用提醒最快在多久后触发
+  const MISSED_REMINDER_MS = 5 * MINUTE_MS; // 提醒晚于到期时间超过该值才送达(设备休眠、应用关闭)时视为错过
+  const MAX_TIMER_DELAY_MS = 2147483647; // setTimeout 的最大延迟(约24.8天)，超过时浏览器会立即触发
+  
+  // 规则的提醒阶段，按提前时间从早到晚排列
+  function getReminderStages(rule) {
+    if (Array.isArray(rule.reminderStages)) return rule.reminderStages;
+    return [{ minutes: rule.reminderAdvance || 10, level: 'normal' }];
+  }
+  
+  // 费用和预算提醒提前的分钟数：最早一次提醒的分钟数，常用规则可能只带 reminderStages 而没有 reminderAdvance；
+  // 关闭了所有提醒阶段时不提前
+  function getMoneyAlertLead(rule) {
+    const stages = getReminderStages(rule);
+    return stages.length > 0 ? Math.max(...stages.map(stage => stage.minutes)) : 0;
+  }
+  
+  // 等到 at 时刻的定时器延迟，超过 setTimeout 的上限时先等到上限，定时器触发时需要检查是否已经到期
+  function getTimerDelay(at, from) {
+    return Math.min(Math.max(at - from, 0), MAX_TIMER_DELAY_MS);
+  }
+  
+  // 检查提醒阶段，有问题时返回说明
+  function validateReminderStages(stages) {
+    if (stages.length > MAX_REMINDER_STAGES) {
+      return t('reminder.tooManyStages', { max: MAX_REMINDER_STAGES });
+    }
+    if (stages.some(stage => !Number.isInteger(stage.minutes) || stage.minutes < 1 || stage.minutes > MAX_REMINDER_STAGE_MINUTES)) {
+      return t('reminder.stageRange', { max: MAX_REMINDER_STAGE_MINUTES });
+    }
+    if (new Set(stages.map(stage => stage.minutes)).size !== stages.length) {
+      return t('reminder.stageDuplicate');
+    }
+    return null;
+  }
+  
+  // 提醒阶段的简短描述，如"提前15、5、1分钟"
+  function describeReminderStages(rule) {
+    const stages = getReminderStages(rule);
+    return stages.length > 0 ?
+      t('reminder.stagesSummary', { minutes: stages.map(stage => stage.minutes).join(t('common.listSeparator')) }) :
+      t('reminder.noStages');
+  }
+  
+  // 规则中的提醒设置，常用规则也保存这些字段
+  function pickReminderSettings(rule) {
+    const settings = {};
+    ['reminderAdvance', 'reminderStages', 'timeUpLevel'].forEach(key => {
+      if (rule[key] !== undefined) settings[key] = rule[key];
+    });
+    return settings;
+  }
+  
+  // 下一次价格变化提醒的时间戳：价格变化点前各提醒阶段中还没到的最早一次，没有时返回 null。
+  // 有优惠时传入 context(见 getSessionDiscountContext)，按实付的变化点提醒
+  function getNextReminderTime(rule, billingStart, elapsedTime, context) {
+    const stages = getReminderStages(rule);
+    const offsets = [];
+    getNetPriceChanges(rule, billingStart, elapsedTime, DAY_MINUTES * MINUTE_MS * 2, context).forEach(change => {
+      stages.forEach(stage => {
+        const offset = change - stage.minutes * MINUTE_MS;
+        if (offset > elapsedTime) offsets.push(offset);
+      });
+    });
+    
+    return offsets.length > 0 ? billingStart + Math.min(...offsets) : null;
+  }
+  
+  // 一辆车的提醒计划：之后24小时内每个价格变化点前的提醒、停车限制前的提醒、费用提醒和停车时长结束
+  function buildSessionReminderSchedule(session, now) {
+    const rule = session.rules;
+    const { start, elapsed: elapsedTime } = getSessionBilling(session, now);
+    const stages = getReminderStages(rule);
+    const schedule = [];
+    
+    // 每个实付变化点前按各个提醒阶段各提醒一次
+    getNetPriceChanges(rule, start, elapsedTime, DAY_MINUTES * MINUTE_MS, getSessionDiscountContext(session)).forEach(change => {
+      stages.forEach((stage, index) => {
+        const at = start + change - stage.minutes * MINUTE_MS;
+        if (at > now && schedule.length < REMINDER_SCHEDULE_LIMIT) {
+          schedule.push({
+            id: `price-${session.id}-${start}-${change}-${stage.minutes}`,
+            kind: 'reminder',
+            sessionId: session.id,
+            at: at,
+            changeAt: start + change,
+            stage: { index: index, count: stages.length, minutes: stage.minutes, level: stage.level },
+            vibrate: REMINDER_LEVELS[stage.level].vibrate,
+            title: t('notify.reminderTitle', { name: session.name }),
+            body: t('notify.reminderBody', { name: session.name, minutes: stage.minutes })
+          });
+        }
+      });
+    });
+    
+    if (session.totalDuration > 0 && start + session.totalDuration > now) {
+      const level = REMINDER_LEVELS[rule.timeUpLevel] ? rule.timeUpLevel : 'urgent';
+      schedule.push({
+        id: `duration-end-${session.id}-${start}-${session.totalDuration}`,
+        kind: 'duration-end',
+        sessionId: session.id,
+        at: start + session.totalDuration,
+        stage: { index: stages.length, count: stages.length + 1, minutes: 0, level: level },
+        title: t('notify.timeUpTitle', { name: session.name }),
+        body: t('notify.timeUpBody', { name: session.name }),
+        vibrate: REMINDER_LEVELS[level].vibrate
+      });
+    }
+    
+    buildLimitReminders(session, now).forEach(reminder => schedule.push(reminder));
+    
+    const costAlert = buildCostAlert(session, now);
+    if (costAlert) {
+      schedule.push(costAlert);
+    }
+    
+    return schedule;
+  }
+  
+  // 一辆车在 at 时刻的费用(优惠后的实付)，按事件日志推算(暂停期间是否计费见"计时事件")
+  function sessionCostAt(session, at) {
+    return sessionCostBreakdownAt(session, at).net;
+  }
+  
+  // 这辆车的停车费即将超过 costAlert 时的提醒，已经超过或已经提醒过时没有
+  function buildCostAlert(session, now) {
+    const rule = session.rules;
+    if (!(rule.costAlert > 0)) return null;
+    
+    const { start, elapsed: elapsedTime } = getSessionBilling(session, now);
+    const context = getSessionDiscountContext(session);
+    const netAt = elapsed => applyDiscounts(rule, elapsed, start, context).net;
+    if (netAt(elapsedTime) > rule.costAlert) return null;
+    
+    // 按开始时间生成，暂停后计费起点变化时不会重复提醒
+    const id = `cost-${session.id}-${new Date(session.startTime).getTime()}-${rule.costAlert}`;
+    if ((session.sessionReminders || []).some(reminder => reminder.id === id)) return null;
+    
+    // 价格变化点的费用为变化前的费用，越过变化点后才会超过
+    const change = getNetPriceChanges(rule, start, elapsedTime, DAY_MINUTES * MINUTE_MS, context)
+      .find(change => netAt(change + 1) > rule.costAlert);
+    if (change === undefined) return null;
+    
+    const cost = netAt(change + 1);
+    return {
+      id: id,
+      kind: 'cost',
+      sessionId: session.id,
+      at: Math.max(now + MONEY_ALERT_MIN_DELAY_MS, start + change - getMoneyAlertLead(rule) * MINUTE_MS),
+      title: t('notify.costTitle', { name: session.name }),
+      body: t('notify.costBody', {
+        name: session.name,
+        time: formatTime(new Date(start + change)),
+        limit: formatMoney(rule.costAlert, { compact: true }),
+        cost: formatMoney(cost)
+      })
+    };
+  }
+  
+  // ===== 常驻通知 =====
+  // 离开页面后由后台服务为正在停车的车辆显示一条静默更新的常驻通知，并在应用图标角标上显示剩余分钟数。
+  // 返回 { sessionId, startMs, title, body, badge }，还没有开始停车时返回 null。
+  // body 包含已停时长、当前费用(优惠后的实付)和距离下一次涨价的时间，设置了停车时长时还有剩余时长；
+  // badge 为距离下一次涨价或停车时长结束(取较早的)的分钟数，向上取整，暂停且不计费时为 null。
+  const LIVE_STATUS_HORIZON_MS = DAY_MINUTES * MINUTE_MS;
+  
+  function buildLiveStatus(session, now) {
+    const timing = getSessionTiming(session, now);
+    if (timing.startMs === null) return null;
+    
+    const { start, elapsed } = getSessionBilling(session, now);
+    const context = getSessionDiscountContext(session);
+    const billing = timing.running || getPauseMode(session.rules) === 'continue';
+    const roundUp = ms => Math.ceil(ms / MINUTE_MS) * MINUTE_MS;
+    const lines = [t('notify.liveBody', { duration: formatDuration(elapsed), cost: formatMoney(sessionCostAt(session, now)) })];
+    const deadlines = [];
+    
+    if (!billing) {
+      lines.push(t('notify.livePaused'));
+    } else {
+      const change = getNetPriceChanges(session.rules, start, elapsed, LIVE_STATUS_HORIZON_MS, context).find(change => change > elapsed);
+      if (change === undefined) {
+        lines.push(t('notify.liveNoChange'));
+      } else {
+        const cost = applyDiscounts(session.rules, change + 1, start, context).net;
+        lines.push(t('notify.liveNextChange', { duration: formatDuration(roundUp(change - elapsed)), cost: formatMoney(cost) }));
+        deadlines.push(change - elapsed);
+      }
+      
+      if (session.totalDuration > 0) {
+        const remaining = session.totalDuration - elapsed;
+        lines.push(remaining > 0 ?
+          t('notify.liveDurationEnd', { duration: formatDuration(roundUp(remaining)) }) :
+          t('notify.liveOvertime', { duration: formatDuration(-remaining) }));
+        if (remaining > 0) deadlines.push(remaining);
+      }
+    }
+    
+    return {
+      sessionId: session.id,
+      startMs: timing.startMs,
+      title: t(timing.running ? 'notify.liveTitle' : 'notify.livePausedTitle', { name: session.name }),
+      body: lines.join('\n'),
+      badge: deadlines.length > 0 ? Math.ceil(Math.min(...deadlines) / MINUTE_MS) : null
+    };
+  }
+  
+  // ===== 日历导出 =====
+  // 部分手机(尤其是 iOS)上浏览器通知不可靠，可以把一辆车的提醒导出为 iCalendar(.ics)文件，交给系统日历提醒。
+  // 之后24小时内的每个价格变化点、停车限制、停车时长结束和稍后提醒各为一个 VEVENT，提醒阶段为其中的 VALARM，
+  // 描述中包含计费规则和停车位置备注。UID 由车辆和本次停车第一次开始计时的时间生成，修改规则、开始时间或暂停后
+  // 重新导出时，日历会更新原来的事件而不是重复添加；上次导出而这次没有的事件另外生成一个 METHOD:CANCEL 的日历取消。
+  const CALENDAR_PRODUCT_ID = '-//停车侠//停车提醒//ZH';
+  const CALENDAR_UID_DOMAIN = 'parking-timer';
+  
+  // 本次停车的日历 UID 前缀
+  function getCalendarUidBase(session) {
+    const start = getSessionEvents(session).find(event => event.type === 'start');
+    return `${session.id}-${start ? start.at : new Date(session.startTime).getTime()}`;
+  }
+  
+  // 一辆车在 now 之后的日历事件，按时间排列：[{ uid, at, summary, alarms(提前的分钟数) }]
+  // snoozes 为页面中的稍后提醒，只取这辆车的
+  function buildCalendarEvents(session, now, snoozes = []) {
+    const rule = session.rules;
+    const base = getCalendarUidBase(session);
+    const { start, elapsed: elapsedTime } = getSessionBilling(session, now);
+    const events = [];
+    
+    // 价格变化点按在本次停车中的序号编号，暂停后整体顺延时 UID 不变
+    const stageMinutes = getReminderStages(rule).map(stage => stage.minutes);
+    const context = getSessionDiscountContext(session);
+    const allChanges = getNetPriceChanges(rule, start, 0, elapsedTime + DAY_MS, context);
+    getNetPriceChanges(rule, start, elapsedTime, DAY_MS, context).forEach(change => {
+      if (start + change <= now) return;
+      events.push({
+        uid: `${base}-price-${allChanges.indexOf(change) + 1}`,
+        at: start + change,
+        summary: t('calendar.priceSummary', { name: session.name, cost: formatMoney(applyDiscounts(rule, change + 1, start, context).net) }),
+        alarms: stageMinutes
+      });
+    });
+    
+    const limitMinutes = getLimitStages(rule).map(stage => stage.minutes);
+    getUpcomingLimits(session, now).forEach(limit => {
+      events.push({
+        uid: `${base}-${limit.key}`,
+        at: limit.at,
+        summary: limit.window ?
+          t('calendar.restrictionSummary', { name: session.name, window: describeRestriction(limit.window.restriction) }) :
+          t('calendar.maxStaySummary', { name: session.name, duration: formatRuleMinutes(getMaxStay(rule)) }),
+        alarms: limitMinutes
+      });
+    });
+    
+    if (session.totalDuration > 0 && start + session.totalDuration > now) {
+      events.push({
+        uid: `${base}-duration-end`,
+        at: start + session.totalDuration,
+        summary: t('notify.timeUpTitle', { name: session.name }),
+        alarms: [0]
+      });
+    }
+    
+    snoozes.filter(snooze => snooze.sessionId === session.id && snooze.at > now).forEach(snooze => {
+      events.push({
+        uid: `${base}-${snooze.id}`,
+        at: snooze.at,
+        summary: snooze.title || t('notify.reminderTitle', { name: session.name }),
+        alarms: [0]
+      });
+    });
+    
+    return events.sort((a, b) => a.at - b.at);
+  }
+  
+  // 一辆车的提醒日历，返回 { ics, cancellation, uids }。previousUids 为上次导出的 UID，这次没有的事件
+  // 放在单独的取消日历 cancellation 中(没有时为 null)；返回的 uids 供下次导出时使用
+  function buildSessionCalendar(session, now, options = {}) {
+    const events = buildCalendarEvents(session, now, options.snoozes);
+    const uids = events.map(event => event.uid);
+    const stamp = formatCalendarTime(now);
+    const sequence = getCalendarSequence(now);
+    const description = escapeCalendarText(describeCalendarSession(session));
+    const coords = session.spot && session.spot.coords;
+    
+    const lines = [];
+    events.forEach(event => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}@${CALENDAR_UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTART:${formatCalendarTime(event.at)}`,
+        `SUMMARY:${escapeCalendarText(event.summary)}`,
+        `DESCRIPTION:${description}`
+      );
+      if (coords) {
+        lines.push(`GEO:${coords.latitude};${coords.longitude}`);
+      }
+      event.alarms.forEach(minutes => {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `DESCRIPTION:${escapeCalendarText(event.summary)}`,
+          `TRIGGER:${minutes > 0 ? `-PT${minutes}M` : 'PT0S'}`,
+          'END:VALARM'
+        );
+      });
+      lines.push('END:VEVENT');
+    });
+    
+    const removed = (options.previousUids || []).filter(uid => !uids.includes(uid));
+    return {
+      ics: wrapCalendar(lines, 'PUBLISH'),
+      cancellation: removed.length > 0 ? buildCalendarCancellation(removed, now, session.name) : null,
+      uids: uids
+    };
+  }
+  
+  // 取消之前导出的事件(结束停车后从日历中移除提醒，或重新导出时去掉不再有的事件)。
+  // 版本号比同时导出的事件大1，同一秒内先导出再取消时日历也按取消处理
+  function buildCalendarCancellation(uids, now, name) {
+    const lines = [];
+    uids.forEach(uid => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid}@${CALENDAR_UID_DOMAIN}`,
+        `DTSTAMP:${formatCalendarTime(now)}`,
+        `SEQUENCE:${getCalendarSequence(now) + 1}`,
+        `DTSTART:${formatCalendarTime(now)}`,
+        'STATUS:CANCELLED',
+        `SUMMARY:${escapeCalendarText(t('calendar.cancelledSummary', { name: name }))}`,
+        'END:VEVENT'
+      );
+    });
+    return wrapCalendar(lines, 'CANCEL');
+  }
+  
+  // 把事件放进日历并折行，行尾为 CRLF。method 为 PUBLISH(加入或更新)或 CANCEL(取消)
+  function wrapCalendar(eventLines, method) {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${CALENDAR_PRODUCT_ID}`, 'CALSCALE:GREGORIAN', `METHOD:${method}`]
+      .concat(eventLines, 'END:VCALENDAR');
+    return lines.map(foldCalendarLine).join('\r\n') + '\r\n';
+  }
+  
+  // 事件描述：计费规则和停车位置备注
+  function describeCalendarSession(session) {
+    const lines = [t('calendar.rule', { rule: generateRuleDescription(session.rules) })];
+    if (session.spot && session.spot.note) {
+      lines.push(t('calendar.spot', { note: session.spot.note }));
+    }
+    return lines.join('\n');
+  }
+  
+  // 事件的版本号，按导出时间(秒)递增，日历据此判断哪次导出更新
+  function getCalendarSequence(now) {
+    return Math.floor(now / 1000);
+  }
+  
+  // UTC 时间，如 20261019T010000Z
+  function formatCalendarTime(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+  
+  // 转义文本中的反斜杠、分号、逗号和换行
+  function escapeCalendarText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+  
+  // 按 RFC 5545 把超过75字节的行折成多行，续行以空格开头，不拆开多字节字符
+  function foldCalendarLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+      const code = char.codePointAt(0);
+      const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4; // UTF-8 字节数
+      if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+        parts.push(current);
+        current = '';
+        bytes = 0;
+      }
+      current += char;
+      bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+  
+  // ===== 分享 =====
+  // 一辆车的停车状态可以编码为链接片段 #share=<base64url(JSON)>，附在应用地址后分享，也可显示为二维码(见 qr.js)。
+  // 不经过服务器：打开链接的设备在本地按同样的开始时间、计费规则和停车时长推算计时、费用和提醒。
+  // 内容为 { v 版本, n 名称, s 开始时间(毫秒), r 规则字符串, d 停车时长(毫秒), m 位置备注, c [纬度, 经度, 精度],
+  //   p 暂停区间 [[开始, 结束]](相对开始时间的毫秒数，结束为 null 表示仍在暂停), x 为 1 表示暂停期间照常计费,
+  //   o 优惠 [{ t 类型, v 数值, l 说明, s 消费满, m 停满分钟, w 星期 }], e 消费金额 }，
+  // m、c、p、x、o、e 以及优惠中的 l、s、m、w 没有时省略。格式变化时增加 SHARE_VERSION，旧版本的应用打开新版本的链接时提示更新。
+  const SHARE_VERSION = 1;
+  const SHARE_PREFIX = '#share=';
+  const MAX_SHARE_NAME_LENGTH = 40;
+  const MAX_SHARE_NOTE_LENGTH = 200;
+  
+  // 文字按 UTF-8 编码为 base64url
+  function encodeBase64Url(text) {
+    const binary = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+  
+  function decodeBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return decodeURIComponent(Array.from(binary, char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+  }
+  
+  // 会话在 now 时刻的分享内容(未编码)，会话没有开始时间时返回 null
+  function buildSharePayload(session, now) {
+    if (!session.startTime) return null;
+    
+    const timing = getSessionTiming(session, now);
+    const start = timing.startMs === null ? new Date(session.startTime).getTime() : timing.startMs;
+    const payload = {
+      v: SHARE_VERSION,
+      n: String(session.name).slice(0, MAX_SHARE_NAME_LENGTH),
+      s: start,
+      r: ruleToRuleString(session.rules),
+      d: session.totalDuration || 0
+    };
+    
+    const spot = session.spot;
+    if (spot && spot.note) {
+      payload.m = spot.note.slice(0, MAX_SHARE_NOTE_LENGTH);
+    }
+    if (spot && spot.coords) {
+      payload.c = [
+        Math.round(spot.coords.latitude * 1e5) / 1e5,
+        Math.round(spot.coords.longitude * 1e5) / 1e5,
+        Math.round(spot.coords.accuracy || 0)
+      ];
+    }
+    
+    // 开始时间之前的暂停不计入(见 getEventTiming)；没有在计时时最后一段暂停还没结束
+    const pauses = timing.pauses
+      .filter(pause => pause.to > start)
+      .map(pause => [Math.max(pause.from, start) - start, pause.to - start]);
+    if (timing.startMs !== null && !timing.running && pauses.length > 0) {
+      pauses[pauses.length - 1][1] = null;
+    }
+    if (pauses.length > 0) {
+      payload.p = pauses;
+    }
+    if (getPauseMode(session.rules) === 'continue') {
+      payload.x = 1;
+    }
+    
+    const discounts = getSessionDiscountContext(session).discounts;
+    if (discounts.length > 0) {
+      payload.o = discounts.map(discount => {
+        const compact = { t: discount.type, v: discount.value };
+        if (discount.label) compact.l = discount.label;
+        if (discount.minSpend > 0) compact.s = discount.minSpend;
+        if (discount.minMinutes > 0) compact.m = discount.minMinutes;
+        if (Array.isArray(discount.days) && discount.days.length > 0) compact.w = discount.days;
+        return compact;
+      });
+    }
+    if (session.spend > 0) {
+      payload.e = session.spend;
+    }
+    
+    return payload;
+  }
+  
+  // 会话的分享链接片段(含 #)
+  function encodeShareFragment(session, now) {
+    const payload = buildSharePayload(session, now);
+    return payload ? SHARE_PREFIX + encodeBase64Url(JSON.stringify(payload)) : null;
+  }
+  
+  // 解析分享链接片段：不是分享链接时返回 null；内容无效时抛出错误，错误信息可以直接显示给用户。
+  // 返回 { name, startMs, rule(含 pauseMode), ruleString, totalDuration, note, coords, discounts, spend, events, running, key }，
+  // events 按开始时间和暂停区间重建，key 用于识别重复打开的同一个分享
+  function parseShareFragment(hash) {
+    if (typeof hash !== 'string' || !hash.startsWith(SHARE_PREFIX)) return null;
+    
+    let payload;
+    try {
+      payload = JSON.parse(decodeBase64Url(hash.slice(SHARE_PREFIX.length)));
+    } catch (error) {
+      throw new Error(t('share.error.format'));
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw new Error(t('share.error.format'));
+    }
+    if (payload.v !== SHARE_VERSION) {
+      throw new Error(Number.isInteger(payload.v) && payload.v > SHARE_VERSION ? t('share.error.newerVersion') : t('share.error.format'));
+    }
+    
+    const invalid = field => new Error(t('share.error.field', { field: field }));
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    
+    if (typeof payload.n !== 'string' || payload.n.trim() === '' || payload.n.length > MAX_SHARE_NAME_LENGTH) throw invalid('n');
+    if (!isNumber(payload.s) || payload.s <= 0) throw invalid('s');
+    if (!isNumber(payload.d) || payload.d < 0) throw invalid('d');
+    if (payload.m !== undefined && (typeof payload.m !== 'string' || payload.m.length > MAX_SHARE_NOTE_LENGTH)) throw invalid('m');
+    if (payload.x !== undefined && payload.x !== 1) throw invalid('x');
+    
+    const coords = payload.c;
+    if (coords !== undefined && !(Array.isArray(coords) && coords.length === 3 && coords.every(isNumber) &&
+      Math.abs(coords[0]) <= 90 && Math.abs(coords[1]) <= 180 && coords[2] >= 0)) {
+      throw invalid('c');
+    }
+    
+    // 暂停区间按时间先后排列、互不重叠，只有最后一段可以没有结束
+    const pauses = payload.p === undefined ? [] : payload.p;
+    let previousEnd = 0;
+    const validPauses = Array.isArray(pauses) && pauses.every((pause, index) => {
+      if (!Array.isArray(pause) || pause.length !== 2 || !isNumber(pause[0]) || pause[0] < previousEnd) return false;
+      if (pause[1] === null) return index === pauses.length - 1;
+      if (!isNumber(pause[1]) || pause[1] < pause[0]) return false;
+      previousEnd = pause[1];
+      return true;
+    });
+    if (!validPauses) throw invalid('p');
+    
+    if (payload.e !== undefined && !(isNumber(payload.e) && payload.e >= 0)) throw invalid('e');
+    if (payload.o !== undefined && !Array.isArray(payload.o)) throw invalid('o');
+    const discounts = (payload.o || []).map((compact, index) => {
+      if (!compact || typeof compact !== 'object' || (compact.l !== undefined && typeof compact.l !== 'string')) throw invalid('o');
+      const discount = { id: `discount-${index + 1}`, type: compact.t, value: compact.v, label: compact.l || '' };
+      if (compact.s !== undefined) discount.minSpend = compact.s;
+      if (compact.m !== undefined) discount.minMinutes = compact.m;
+      if (compact.w !== undefined) discount.days = compact.w;
+      if (validateDiscount(discount)) throw invalid('o');
+      return discount;
+    });
+    
+    let rule;
+    try {
+      rule = parseRuleString(payload.r);
+    } catch (error) {
+      throw new Error(t('share.error.rule', { message: error.message }));
+    }
+    rule.pauseMode = payload.x === 1 ? 'continue' : 'exclude';
+    
+    const events = [{ type: 'start', at: payload.s }];
+    pauses.forEach(([from, to]) => {
+      events.push({ type: 'pause', at: payload.s + from });
+      if (to !== null) {
+        events.push({ type: 'resume', at: payload.s + to });
+      }
+    });
+    
+    return {
+      name: payload.n.trim(),
+      startMs: payload.s,
+      rule: rule,
+      ruleString: payload.r,
+      totalDuration: payload.d,
+      note: payload.m || '',
+      coords: coords ? { latitude: coords[0], longitude: coords[1], accuracy: coords[2] } : null,
+      discounts: discounts,
+      spend: payload.e || 0,
+      events: events,
+      running: pauses.length === 0 || pauses[pauses.length - 1][1] !== null,
+      key: `${payload.s}-${payload.n.trim()}`
+    };
+  }
+  
+  // ===== 计时事件 =====
+  // 每次停车的经过记录为事件日志 events，随会话保存，结束后一起保存到停车记录：[{ type, at, ... }]
+  //   start 开始计时(at 可以是设置的过去或未来的开始时间)、pause 暂停、resume 继续、
+  //   rule 修改计费规则(ruleString, pauseMode)、start-edit 修改开始时间(from, to)、
+  //   extend 修改停车时长(from, to，毫秒)、stop 结束
+  // 已停时长和费用都由日志推算(见 getEventTiming)。暂停期间是否计费由计费规则的 pauseMode 决定：
+  //   exclude(默认)暂停的时段不计时也不计费；continue 车场在暂停期间照常计费，暂停只是停止提醒。
+  // 排除暂停时段时，计费按"计费起点"(开始时间加上已暂停的时长)对应到时钟，分时段价格按继续计时后的时间计算。
+  function getPauseMode(rule) {
+    return rule && rule.pauseMode === 'continue' ? 'continue' : 'exclude';
+  }
+  
+  // 暂停期间计费方式的说明
+  function describePauseMode(mode) {
+    return t(`pauseMode.${mode}`);
+  }
+  
+  // 由事件日志推算 now 时刻的计时状态：
+  //   { startMs, billingStart, elapsed(计费时长), pausedMs(暂停总时长), pauses: [{ from, to }], running }
+  // at 在 now 之后的事件(如未来的开始时间)还没有发生，不计入
+  function getEventTiming(events, pauseMode, now) {
+    let start = null;
+    let end = null;
+    let running = false;
+    const pauses = [];
+    
+    events.forEach(event => {
+      if (event.at > now) return;
+      
+      switch (event.type) {
+        case 'start':
+          start = event.at;
+          running = true;
+          break;
+        case 'start-edit':
+          start = event.to;
+          break;
+        case 'pause':
+          if (running) {
+            pauses.push({ from: event.at, to: null });
+            running = false;
+          }
+          break;
+        case 'resume':
+          if (!running && pauses.length > 0) {
+            pauses[pauses.length - 1].to = event.at;
+            running = true;
+          }
+          break;
+        case 'stop':
+          end = event.at;
+          running = false;
+          break;
+      }
+    });
+    
+    if (start === null) {
+      return { startMs: null, billingStart: null, elapsed: 0, pausedMs: 0, pauses: [], running: false };
+    }
+    
+    if (end === null) end = now;
+    const closedPauses = pauses.map(pause => ({ from: pause.from, to: pause.to === null ? end : pause.to }));
+    
+    // 修改开始时间后，新开始时间之前的暂停不再计入
+    const pausedMs = closedPauses.reduce((sum, pause) => sum + Math.max(0, Math.min(pause.to, end) - Math.max(pause.from, start)), 0);
+    const excludedMs = pauseMode === 'continue' ? 0 : pausedMs;
+    
+    return {
+      startMs: start,
+      billingStart: start + excludedMs,
+      elapsed: Math.max(0, end - start - excludedMs),
+      pausedMs: pausedMs,
+      pauses: closedPauses,
+      running: running
+    };
+  }
+  
+  // 保存格式的会话的计时状态
+  function getSessionTiming(session, now = Date.now()) {
+    return getEventTiming(getSessionEvents(session), getPauseMode(session.rules), now);
+  }
+  
+  // 会话的计费起点和计费时长，还没到开始时间时从开始时间算起
+  function getSessionBilling(session, now) {
+    const timing = getSessionTiming(session, now);
+    if (timing.billingStart === null) {
+      return { start: new Date(session.startTime).getTime(), elapsed: 0 };
+    }
+    return { start: timing.billingStart, elapsed: timing.elapsed };
+  }
+  
+  // 会话的事件日志。旧版本的会话没有日志，按开始时间和暂停区间补出
+  function getSessionEvents(session) {
+    if (Array.isArray(session.events)) return session.events;
+    if (!session.startTime) return [];
+    
+    const start = new Date(session.startTime).getTime();
+    const segments = session.pauseSegments || [];
+    // 没有开始过的会话(只设置了开始时间)没有日志
+    if (!session.isRunning && !session.pausedTime && segments.length === 0) return [];
+    
+    const events = [{ type: 'start', at: start }];
+    segments.forEach(segment => {
+      events.push({ type: 'pause', at: segment.from });
+      if (segment.to !== null) {
+        events.push({ type: 'resume', at: segment.to });
+      }
+    });
+    if (!session.isRunning && events[events.length - 1].type !== 'pause') {
+      events.push({ type: 'pause', at: start + (session.pausedTime || 0) });
+    }
+    return events;
+  }
+  
+  // 事件时间，与 reference 不在同一天时带上日期
+  function formatEventTime(at, reference) {
+    const date = new Date(at);
+    return date.toDateString() === new Date(reference).toDateString() ? formatTime(date) : formatDateTime(date);
+  }
+  
+  function describeSessionEvent(event) {
+    switch (event.type) {
+      case 'start':
+        return t('event.start');
+      case 'pause':
+        return t('event.pause');
+      case 'resume':
+        return t('event.resume');
+      case 'rule':
+        return event.pauseMode === 'continue' ?
+          t('event.ruleWithPauseMode', { ruleString: event.ruleString, pauseMode: describePauseMode('continue') }) :
+          t('event.rule', { ruleString: event.ruleString });
+      case 'start-edit':
+        return t('event.startEdit', { time: formatDateTime(new Date(event.to)) });
+      case 'extend':
+        return event.to > 0 ? t('event.extend', { duration: formatDuration(event.to) }) : t('event.clearDuration');
+      case 'discount':
+        return event.discounts.length > 0 ?
+          t('event.discount', { discounts: event.discounts.map(describeDiscount).join(t('common.listSeparator')) }) :
+          t('event.clearDiscount');
+      case 'stop':
+        return t('event.stop');
+      default:
+        return event.type;
+    }
+  }
+  
+  // ===== 停车场 =====
+  // 常用规则可以带有停车场信息 lot：{ address, coords: { latitude, longitude }, radius, hours, notes }，
+  // radius 为范围(米)，hours 为营业时间(如 "07:00-23:00"，为空表示全天开放)。
+  // 开始计时时按定位查找范围内最近的停车场并建议使用它的规则；停车记录的 lot 为 { id, name }，用于按停车场查看和统计。
+  const DEFAULT_LOT_RADIUS = 200;
+  
+  // 两点间距离(米)
+  function distanceBetween(from, to) {
+    const radius = 6371000;
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * radius * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+  
+  // 解析营业时间 "HH:MM-HH:MM"，为空时返回 null(全天开放)，格式无效时抛出说明错误
+  function parseLotHours(text) {
+    const value = (text || '').trim();
+    if (!value) return null;
+    
+    const match = /^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(value);
+    const from = match ? parseClockMinutes(match[1]) : null;
+    const to = match ? parseClockMinutes(match[2]) : null;
+    if (from === null || to === null) {
+      throw new Error(t('lot.error.hours', { hours: value }));
+    }
+    return { from: from, to: to };
+  }
+  
+  // 停车场在某一时刻是否开放，营业时间无效时视为开放
+  function isLotOpen(lot, timestamp) {
+    let hours;
+    try {
+      hours = parseLotHours(lot.hours);
+    } catch (error) {
+      return true;
+    }
+    if (!hours || hours.from === hours.to) return true;
+    
+    const date = new Date(timestamp);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return hours.from < hours.to ?
+      minutes >= hours.from && minutes < hours.to :
+      minutes >= hours.from || minutes < hours.to;
+  }
+  
+  // 定位所在范围内最近的停车场，返回 { preset, distance }，没有时返回 null。
+  // 定位误差计入范围(最多再放宽一个范围)，地下车库里定位偏差较大时也能找到
+  function findNearestLot(presets, coords) {
+    let nearest = null;
+    presets.forEach(preset => {
+      if (!preset.lot || !preset.lot.coords) return;
+      
+      const radius = preset.lot.radius > 0 ? preset.lot.radius : DEFAULT_LOT_RADIUS;
+      const distance = distanceBetween(coords, preset.lot.coords);
+      if (distance > radius + Math.min(coords.accuracy || 0, radius)) return;
+      if (!nearest || distance < nearest.distance) {
+        nearest = { preset: preset, distance: distance };
+      }
+    });
+    return nearest;
+  }
+  
+  // 规范的规则字符串，无法解析时返回 null
+  function normalizeRuleString(ruleString) {
+    try {
+      return ruleToRuleString(parseRuleString(ruleString));
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  // 停车记录所属的停车场 { id, name }：停车位置在范围内时取最近的停车场，
+  // 没有位置时取规则相同的停车场(只有一个时)，都没有时返回 null
+  function findLotForRecord(presets, record) {
+    let preset = null;
+    if (record.spot && record.spot.coords) {
+      const nearest = findNearestLot(presets, record.spot.coords);
+      preset = nearest ? nearest.preset : null;
+    } else if (record.ruleString) {
+      const matches = presets.filter(item => item.lot && normalizeRuleString(item.ruleString) === record.ruleString);
+      preset = matches.length === 1 ? matches[0] : null;
+    }
+    return preset ? { id: preset.id, name: getPresetName(preset) } : null;
+  }
+  
+  // ===== 收费核对 =====
+  // 停车记录的 receipt 为实际支付的金额：{ paid, photoId, at }，photoId 为收据照片，at 为登记时间。
+  // 实付与记录中计算的费用(cost)相差超过容差时视为有差异：多付为 overcharged，少付为 undercharged。
+  const DEFAULT_RECEIPT_TOLERANCE = 1;
+  
+  // 核对一条记录，没有登记实付金额时返回 null
+  function reconcileReceipt(record, tolerance = DEFAULT_RECEIPT_TOLERANCE) {
+    if (!record.receipt || typeof record.receipt.paid !== 'number') return null;
+    
+    const difference = Math.round((record.receipt.paid - record.cost) * 100) / 100;
+    let status = 'match';
+    if (difference > tolerance) {
+      status = 'overcharged';
+    } else if (difference < -tolerance) {
+      status = 'undercharged';
+    }
+    return { cost: record.cost, paid: record.receipt.paid, difference: difference, status: status };
+  }
+  
+  // 按停车场和计费规则汇总核对结果，只统计登记了实付金额的记录。
+  // 每组的 discrepancies 为有差异的记录(按开始时间排列)，overcharged 为多付的合计；多付多的组排在前面
+  function buildReceiptReport(records, tolerance = DEFAULT_RECEIPT_TOLERANCE) {
+    const groups = new Map();
+    
+    records.forEach(record => {
+      const result = reconcileReceipt(record, tolerance);
+      if (!result) return;
+      
+      const key = `${record.lot ? record.lot.id : ''}|${record.ruleString || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, { lot: record.lot || null, ruleString: record.ruleString || null, checked: 0, cost: 0, paid: 0, overcharged: 0, discrepancies: [] });
+      }
+      
+      const group = groups.get(key);
+      group.checked++;
+      group.cost += result.cost;
+      group.paid += result.paid;
+      if (result.status !== 'match') {
+        group.discrepancies.push({ record: record, ...result });
+      }
+      if (result.status === 'overcharged') {
+        group.overcharged += result.difference;
+      }
+    });
+    
+    const list = Array.from(groups.values());
+    list.forEach(group => group.discrepancies.sort((a, b) => a.record.startTime - b.record.startTime));
+    return list.sort((a, b) => b.overcharged - a.overcharged || b.discrepancies.length - a.discrepancies.length);
+  }
+  
+  // ===== 数据存储 =====
+  // 计费规则保存在 parkingPricingRules；用户添加的常用规则保存在 userPresetRules；每日/每月预算保存在 parkingBudget；
+  // 所有车辆的会话保存在 parkingSessions：{ activeId, sessions }，会话格式见 index.html 的"多车辆会话"。
+  // 停车可能持续多天(如机场长时间停车)，会话在结束计时前一直保留。
+  
+  // 新建车辆时默认的名称，按当前语言生成
+  function getDefaultSessionName() {
+    return t('session.defaultName');
+  }
+  
+  // 备份中的预算只有金额，已经提醒过的预算不备份
+  function getBackupBudget(settings) {
+    return { daily: settings.daily, monthly: settings.monthly };
+  }
+  
+  // 导入备份中的预算：mode 为 replace 时使用备份的预算并重新提醒，为 merge 时只补充还没有设置的预算。
+  // 旧版本的备份没有预算(budget 为 null)，保留现有设置
+  function restoreBackupBudget(settings, budget, mode) {
+    if (!budget) return settings;
+    if (mode === 'replace') {
+      return { daily: budget.daily, monthly: budget.monthly, fired: [] };
+    }
+    return {
+      ...settings,
+      daily: settings.daily > 0 ? settings.daily : budget.daily,
+      monthly: settings.monthly > 0 ? settings.monthly : budget.monthly
+    };
+  }
+  
+  function createParkingCore(options = {}) {
+    const now = options.now || (() => Date.now());
+    const storage = () => options.storage || global.localStorage;
+    
+    // 新建一个未开始的会话，使用 rules 的副本作为计费规则
+    function createSession(name, rules) {
+      return {
+        id: `session-${now()}-${Math.random().toString(36).slice(2, 6)}`,
+        name: name,
+        startTime: null,
+        isRunning: false,
+        timestamp: now(),
+        rules: JSON.parse(JSON.stringify(rules)),
+        totalDuration: 0,
+        elapsedDuration: 0,
+        events: [],
+        sessionReminders: [],
+        spot: null,
+        discounts: [],
+        spend: 0
+      };
+    }
+    
+    // 读取所有会话，返回 { activeId, sessions }。旧版本的单个计时(parkingTimer)迁移为一个会话，
+    // 旧格式的会话补出事件日志；没有会话时按 rules 新建一个
+    function loadSessions(rules) {
+      const stored = JSON.parse(storage().getItem('parkingSessions') || 'null');
+      let sessions = [];
+      let activeId = null;
+      
+      if (stored) {
+        sessions = stored.sessions || [];
+        activeId = stored.activeId;
+      } else {
+        const legacyTimer = JSON.parse(storage().getItem('parkingTimer') || 'null');
+        if (legacyTimer) {
+          const session = Object.assign(createSession(getDefaultSessionName(), rules), legacyTimer);
+          session.events = getSessionEvents(legacyTimer);
+          sessions.push(session);
+          activeId = session.id;
+        }
+        storage().removeItem('parkingTimer');
+      }
+      
+      // 旧版本的会话只有暂停区间，补出事件日志
+      sessions.forEach(session => {
+        session.events = getSessionEvents(session);
+        delete session.pausedTime;
+        delete session.pauseSegments;
+      });
+      
+      if (sessions.length === 0) {
+        sessions.push(createSession(getDefaultSessionName(), rules));
+      }
+      if (!sessions.some(session => session.id === activeId)) {
+        activeId = sessions[0].id;
+      }
+      
+      return { activeId: activeId, sessions: sessions };
+    }
+    
+    function saveSessions(activeId, sessions) {
+      storage().setItem('parkingSessions', JSON.stringify({ activeId: activeId, sessions: sessions }));
+    }
+    
+    // 保存的计费规则，没有时返回 null
+    function loadPricingRules() {
+      const stored = storage().getItem('parkingPricingRules');
+      return stored ? JSON.parse(stored) : null;
+    }
+    
+    function savePricingRules(rule) {
+      storage().setItem('parkingPricingRules', JSON.stringify(rule));
+    }
+    
+    // 用户添加的常用规则，旧格式的规则迁移后立即写回
+    function loadUserPresets() {
+      const stored = storage().getItem('userPresetRules');
+      if (!stored) return [];
+      
+      let migrated = false;
+      const presets = JSON.parse(stored).map(preset => {
+        const migratedPreset = migratePresetRule(preset);
+        if (migratedPreset !== preset) migrated = true;
+        return migratedPreset;
+      });
+      
+      if (migrated) {
+        saveUserPresets(presets);
+      }
+      return presets;
+    }
+    
+    // 只保存用户添加的规则(排除内置规则)
+    function saveUserPresets(presets) {
+      storage().setItem('userPresetRules', JSON.stringify(presets.filter(preset => !preset.isDefault)));
+    }
+    
+    // 每日/每月预算 parkingBudget：{ daily, monthly, fired }，金额为0表示不设预算，fired 为已经提醒过的预算
+    function loadBudgetSettings() {
+      return { daily: 0, monthly: 0, fired: [], ...JSON.parse(storage().getItem('parkingBudget') || 'null') };
+    }
+    
+    function saveBudgetSettings(settings) {
+      storage().setItem('parkingBudget', JSON.stringify(settings));
+    }
+    
+    return {
+      MINUTE_MS: MINUTE_MS,
+      DAY_MINUTES: DAY_MINUTES,
+      DEFAULT_PRICING_RULE: DEFAULT_PRICING_RULE,
+      DEFAULT_PRESET_RULES: DEFAULT_PRESET_RULES,
+      DAY_MS: DAY_MS,
+      REMINDER_LEVELS: REMINDER_LEVELS,
+      MAX_REMINDER_STAGES: MAX_REMINDER_STAGES,
+      MAX_REMINDER_STAGE_MINUTES: MAX_REMINDER_STAGE_MINUTES,
+      MONEY_ALERT_MIN_DELAY_MS: MONEY_ALERT_MIN_DELAY_MS,
+      MISSED_REMINDER_MS: MISSED_REMINDER_MS,
+      DEFAULT_LOT_RADIUS: DEFAULT_LOT_RADIUS,
+      DEFAULT_RECEIPT_TOLERANCE: DEFAULT_RECEIPT_TOLERANCE,
+      DISCOUNT_TYPES: DISCOUNT_TYPES,
+      padZero: padZero,
+      formatDuration: formatDuration,
+      formatDateTime: formatDateTime,
+      formatTime: formatTime,
+      formatClock: formatClock,
+      formatTimerClock: formatTimerClock,
+      getTimerReadout: getTimerReadout,
+      normalizePricingRule: normalizePricingRule,
+      parseClockMinutes: parseClockMinutes,
+      clockAt: clockAt,
+      buildChargeSchedule: buildChargeSchedule,
+      calculateCostForRule: calculateCostForRule,
+      getPriceChanges: getPriceChanges,
+      describePricingRule: describePricingRule,
+      describeParkingLimits: describeParkingLimits,
+      getMaxStay: getMaxStay,
+      getRestrictions: getRestrictions,
+      describeRestriction: describeRestriction,
+      getRestrictionWindows: getRestrictionWindows,
+      getParkingLimits: getParkingLimits,
+      formatRuleMinutes: formatRuleMinutes,
+      formatRuleUnit: formatRuleUnit,
+      formatClockMinutes: formatClockMinutes,
+      parseRuleString: parseRuleString,
+      ruleToRuleString: ruleToRuleString,
+      parseLegacyCustomRuleString: parseLegacyCustomRuleString,
+      generateRuleDescription: generateRuleDescription,
+      migratePresetRule: migratePresetRule,
+      getPresetName: getPresetName,
+      getPresetDescription: getPresetDescription,
+      buildPresetRule: buildPresetRule,
+      getQuickDurations: getQuickDurations,
+      addQuickDuration: addQuickDuration,
+      getReminderStages: getReminderStages,
+      getMoneyAlertLead: getMoneyAlertLead,
+      getTimerDelay: getTimerDelay,
+      validateReminderStages: validateReminderStages,
+      describeReminderStages: describeReminderStages,
+      pickReminderSettings: pickReminderSettings,
+      getNextReminderTime: getNextReminderTime,
+      buildSessionReminderSchedule: buildSessionReminderSchedule,
+      buildCostAlert: buildCostAlert,
+      buildLiveStatus: buildLiveStatus,
+      buildCalendarEvents: buildCalendarEvents,
+      buildSessionCalendar: buildSessionCalendar,
+      buildCalendarCancellation: buildCalendarCancellation,
+      encodeShareFragment: encodeShareFragment,
+      parseShareFragment: parseShareFragment,
+      sessionCostAt: sessionCostAt,
+      getSessionDiscountContext: getSessionDiscountContext,
+      validateDiscount: validateDiscount,
+      describeDiscount: describeDiscount,
+      applyDiscounts: applyDiscounts,
+      getNetPriceChanges: getNetPriceChanges,
+      sessionCostBreakdownAt: sessionCostBreakdownAt,
+      getPauseMode: getPauseMode,
+      describePauseMode: describePauseMode,
+      getEventTiming: getEventTiming,
+      getSessionEvents: getSessionEvents,
+      getSessionBilling: getSessionBilling,
+      getSessionTiming: (session, at = now()) => getSessionTiming(session, at),
+      describeSessionEvent: describeSessionEvent,
+      formatEventTime: formatEventTime,
+      distanceBetween: distanceBetween,
+      parseLotHours: parseLotHours,
+      isLotOpen: isLotOpen,
+      findNearestLot: findNearestLot,
+      findLotForRecord: findLotForRecord,
+      reconcileReceipt: reconcileReceipt,
+      buildReceiptReport: buildReceiptReport,
+      getDefaultSessionName: getDefaultSessionName,
+      now: now,
+      createSession: createSession,
+      loadSessions: loadSessions,
+      saveSessions: saveSessions,
+      loadPricingRules: loadPricingRules,
+      savePricingRules: savePricingRules,
+      loadUserPresets: loadUserPresets,
+      saveUserPresets: saveUserPresets,
+      loadBudgetSettings: loadBudgetSettings,
+      saveBudgetSettings: saveBudgetSettings,
+      getBackupBudget: getBackupBudget,
+      restoreBackupBudget: restoreBackupBudget,
+      create: createParkingCore
+    };
+  }
+  
+  const ParkingCore = createParkingCore();
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParkingCore;
+  } else {
+    global.ParkingCore = ParkingCore;
+  }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,1614 @@
+// 界面文字和本地化 - 消息目录、语言和币种设置，以及按语言和币种格式化金额、日期和时间
+// 页面、服务工作者(importScripts)和 core.js 共用：浏览器中为 self.ParkingI18n，Node中用 require('./i18n.js') 引入。
+// 文字通过 t(key, params) 取得，{name} 形式的占位符由 params 填入；随数量变化的文字写成 { one, other }，按 params.count 选择。
+// 当前语言缺少的文字使用简体中文。金额只按所选币种显示，不做汇率换算。
+(function(global) {
+  const DEFAULT_LOCALE = 'zh-CN';
+  const DEFAULT_CURRENCY = 'CNY';
+  
+  // 支持的语言，值为语言选择中显示的名称
+  const LOCALES = {
+    'zh-CN': '简体中文',
+    en: 'English'
+  };
+  
+  // 可选的币种(ISO 4217 代码)
+  const CURRENCIES = ['CNY', 'HKD', 'TWD', 'EUR', 'USD', 'GBP', 'JPY'];
+  
+  const MESSAGES = {
+    'zh-CN': {
+      // 通用
+      'common.listSeparator': '、',
+      'common.clauseSeparator': '，',
+      'common.settings': '设置',
+      'common.add': '添加',
+      'common.close': '关闭',
+      'common.save': '保存',
+      'common.minutes': '分钟',
+      'common.hours': '小时',
+      'common.confirm': '确认',
+      'common.delete': '删除',
+      
+      // 时长
+      'duration.hoursMinutes': '{hours}小时{minutes}分钟',
+      'duration.hours': '{hours}小时',
+      'duration.minutes': '{minutes}分钟',
+      'duration.hourUnit': '小时',
+      'duration.clear': '清除',
+      'duration.title': '设置停车时长',
+      'duration.close': '关闭时长选择',
+      'duration.hint': '设置停车时长后，计时器将从0开始倒计时，到达设置的时长时提醒',
+      'duration.days': '{days}天',
+      'duration.daysRest': '{days}天{rest}',
+      
+      // 计时器
+      'timer.countdown': '倒计时 {time}',
+      'timer.remaining': '剩余 {time}',
+      'timer.elapsedLabel': '当前停车时长',
+      'timer.started': '计时已开始',
+      'timer.scheduled': '将在 {time} 开始计时',
+      'timer.paused': '计时已暂停',
+      'timer.stopped': '{name}计时已结束',
+      'timer.days': '{count}天 {time}',
+      
+      // 计费规则描述
+      'pricing.freeMinutes': '前{minutes}分钟免费',
+      'pricing.noFreeTime': '无免费时长',
+      'pricing.after': '超过{duration}后',
+      'pricing.line': '{range}：{price}',
+      'pricing.periodCap': '{label}每次封顶：{amount}',
+      'pricing.otherPeriods': '其他时段 ',
+      'pricing.dailyCap': '每天封顶：{amount}',
+      'pricing.rollingCap': '每24小时封顶：{amount}',
+      'pricing.short.noFree': '无免费',
+      'pricing.short.flat': '{duration}{amount}',
+      'pricing.short.overtime': '超时{price}',
+      'pricing.short.period': '{label}另计',
+      'pricing.short.dailyCap': '每天封顶{amount}',
+      'pricing.short.rollingCap': '每24小时封顶{amount}',
+      'pricing.tiers': '阶梯价格',
+      'pricing.addTier': '添加阶梯',
+      'pricing.tiersHint': '按累计停车时长分段，例如首小时10元、之后每30分钟3元；"截止"留空表示之后所有时长。不设置阶梯时使用基础时长、基础费用和超时费用',
+      'pricing.periods': '分时段价格',
+      'pricing.addPeriod': '添加时段',
+      'pricing.periodsHint': '例如夜间 20:00-08:00 每小时1元、每晚封顶10元。每个计费单位按其开始时刻所在的时段计价，不在任何时段内的时间按阶梯价格计费',
+      'pricing.capMode': '每日封顶计算方式',
+      'pricing.capRolling': '自入场起每24小时',
+      'pricing.capCalendar': '按自然日',
+      'pricing.tierCount': '{count}段阶梯',
+      'pricing.tierUpTo': '截止(分)',
+      'pricing.tierUpToTitle': '截止时长(分钟)，留空表示之后所有时长',
+      'pricing.tierType': '计价方式',
+      'pricing.tierPerUnit': '按单位',
+      'pricing.tierFlat': '一口价',
+      'pricing.tierAmountTitle': '金额({currency})',
+      'pricing.unitShort': '分',
+      'pricing.unitTitle': '计费单位(分钟)',
+      'pricing.periodLabel': '名称',
+      'pricing.periodLabelTitle': '时段名称',
+      'pricing.periodFrom': '开始时间',
+      'pricing.periodTo': '结束时间',
+      'pricing.periodPrice': '单价({currency})',
+      'pricing.periodPriceTitle': '每个计费单位的价格({currency})',
+      'pricing.periodUnit': '单位(分)',
+      'pricing.periodCapShort': '封顶({currency})',
+      'pricing.periodCapTitle': '每个时段封顶金额({currency})，留空不封顶',
+      'pricing.tierAmountInvalid': '第{index}段阶梯的金额无效',
+      'pricing.tierUpToNotIncreasing': '第{index}段阶梯的截止时长必须大于上一段',
+      'pricing.tierOpenNotLast': '只有最后一段阶梯的截止时长可以留空',
+      'pricing.periodTimeInvalid': '第{index}个时段的时间无效',
+      'pricing.periodPriceInvalid': '第{index}个时段的单价无效',
+      'pricing.savedDraft': '分时段/阶梯设置将在保存规则后生效',
+      
+      // 规则字符串错误
+      'ruleString.empty': '规则字符串为空',
+      'ruleString.unbalanced': '规则字符串中的括号不匹配',
+      'ruleString.rule': '规则',
+      'ruleString.part': '第{index}段 "{clause}"',
+      'ruleString.emptyPart': '第{index}段为空，请检查是否有多余的逗号',
+      'ruleString.badUnit': '{describe}中的计费单位 "{value}" 无效，应为 hour 或 30min 这样的时长',
+      'ruleString.badUpTo': '{describe}中的截止时长 "{value}" 无效，应为 2h 或 90min 这样的时长',
+      'ruleString.badDuration': '{describe}中的时长 "{value}" 无效，应为 2h 或 90min 这样的时长',
+      'ruleString.openTierNotLast': '{describe}中只有最后一段价格可以没有截止时长',
+      'ruleString.tiersNotIncreasing': '{describe}中的阶梯截止时长必须递增({current} 不大于 {previous})',
+      'ruleString.badClock': '{describe}中的时间 "{value}" 无效，应为 HH:MM-HH:MM',
+      'ruleString.badPeriodPart': '{describe}中的 "{value}" 无法识别，时段内只能使用价格片段和 cap-<金额>',
+      'ruleString.periodMissingPrice': '{describe}缺少价格，例如 1y-per-hour',
+      'ruleString.badFreeTime': '{describe}中的免费时长无效，应为 15min-free 这样的格式',
+      'ruleString.duplicateFreeTime': '{describe}重复设置了免费时长',
+      'ruleString.unknown': '{describe}无法识别，可用的格式有 15min-free、2h-5y、2y-per-hour、3y-per-30min-until-2h、10y-per-visit、cap-40y、夜间(20:00-08:00;1y-per-hour)、max-2h、no-parking-tue-08:00-10:00',
+      'ruleString.missingPrice': '规则缺少价格，例如 2y-per-hour',
+      'ruleString.badMaxStay': '{describe}中的最长停放时长 "{value}" 无效，应为 max-2h 这样的格式',
+      'ruleString.badDays': '{describe}中的星期 "{value}" 无效，可用 sun、mon、tue、wed、thu、fri、sat，多天用 + 连接',
+      
+      // 内置常用规则
+      'preset.mall': '商场标准',
+      'preset.office': '写字楼',
+      'preset.scenic': '景区停车场',
+      'preset.airport': '机场/车站',
+      'preset.title': '常用规则',
+      'preset.sort': '排序',
+      'preset.edit': '编辑',
+      'preset.add': '添加到常用',
+      'preset.nameRequired': '请输入规则名称',
+      'preset.added': '规则已添加到常用规则',
+      'preset.inUse': '无法删除当前正在使用的规则',
+      'preset.deleted': '规则已删除',
+      'preset.done': '完成',
+      'preset.sortSaved': '排序已保存',
+      
+      // 提醒
+      'reminder.level.gentle': '轻柔',
+      'reminder.level.normal': '标准',
+      'reminder.level.urgent': '强烈',
+      'reminder.tooManyStages': '最多设置{max}次提醒',
+      'reminder.stageRange': '提醒提前时间必须在1-{max}分钟之间',
+      'reminder.stageDuplicate': '提醒提前时间不能重复',
+      'reminder.stagesSummary': '提前{minutes}分钟提醒',
+      'reminder.noStages': '不提前提醒',
+      'reminder.next': '下次提醒',
+      'reminder.waiting': '即将开始计时...',
+      'reminder.stagesLabel': '计费周期结束前提醒',
+      'reminder.timeUpLabel': '停车时长结束时提醒',
+      'reminder.levelTitle': '提示音和震动强度',
+      'reminder.stagesHint': '可以设置多次提醒(如提前15、5、1分钟)，每次的提示音和震动强度可以不同',
+      'reminder.none': '没有更多提醒',
+      'reminder.delivery.trigger': '系统定时通知：关闭页面后也会按时提醒',
+      'reminder.delivery.worker': '后台服务提醒：关闭页面后由后台服务尽量按时提醒',
+      'reminder.delivery.page': '页面内提醒：请保持页面打开，并开启通知权限',
+      'reminder.soon': '即将提醒',
+      'reminder.getReady': '准备挪车啦！',
+      'reminder.inMinutes': '还有 {minutes} 分钟',
+      'reminder.inHoursMinutes': '还有 {hours} 小时 {minutes} 分钟',
+      'reminder.snoozed': '已设置{minutes}分钟后再次提醒',
+      'reminder.stage.snooze': '稍后提醒 · {level}',
+      'reminder.stage.timeUp': '停车时长结束 · {level}',
+      'reminder.stage.numbered': '第{index}/{count}次提醒 · {level}',
+      'reminder.stageBefore': '提前',
+      'reminder.stageMinutesTitle': '提前分钟数',
+      'reminder.stageMinutesUnit': '分',
+      'reminder.missed': '有{count}次提醒在设备休眠或应用关闭时到期，最早一次在{time}',
+      
+      // 通知
+      'notify.appTitle': '停车提醒',
+      'notify.defaultBody': '您的停车时间即将结束',
+      'notify.reminderTitle': '停车提醒 - {name}',
+      'notify.reminderBody': '{name}距离计费周期结束还有 {minutes} 分钟',
+      'notify.timeUpTitle': '停车时间到 - {name}',
+      'notify.timeUpBody': '{name}设置的停车时长已结束',
+      'notify.costTitle': '费用提醒 - {name}',
+      'notify.costBody': '{name}的停车费将在 {time} 超过 {limit}(届时为 {cost})',
+      'notify.pushFallback': '收到停车相关通知，请查看应用',
+      'notify.clickForDetails': '点击查看详情',
+      'notify.action.view': '查看详情',
+      'notify.action.extend': '延长时间',
+      'notify.action.extend30': '延长30分钟',
+      'notify.action.snooze': '{minutes}分钟后提醒',
+      'notify.action.dismiss': '关闭',
+      'notify.snoozeBody': '稍后提醒时间到，请尽快处理{name}的停车',
+      'notify.budgetTitle': '预算提醒 - {label}',
+      'notify.budgetExceeded': '{label}停车花费 {total}，已超过预算 {limit}',
+      'notify.budgetBody': '{time}后{label}停车花费将超过预算 {limit}(届时为 {total})',
+      'notify.missedTitle': '错过的停车提醒',
+      'notify.limitTitle': '停车限制 - {name}',
+      'notify.maxStayBody': '{name}将在 {time} 停满最长停放时长 {duration}，还有 {minutes} 分钟，请及时挪车',
+      'notify.restrictionBody': '{minutes} 分钟后进入禁停时段 {window}，请及时挪走{name}',
+      'notify.liveTitle': '{name}停车中',
+      'notify.livePausedTitle': '{name}已暂停',
+      'notify.liveBody': '已停{duration}，当前{cost}',
+      'notify.liveNextChange': '{duration}后涨到{cost}',
+      'notify.liveNoChange': '24小时内不再涨价',
+      'notify.liveDurationEnd': '停车时长还剩{duration}',
+      'notify.liveOvertime': '已超过停车时长{duration}',
+      'notify.livePaused': '已暂停，不计时不计费',
+      'notify.action.stop': '结束停车',
+      
+      // 离线
+      'offline.networkFailed': '网络请求失败，请检查您的网络连接',
+      'offline.sensitiveFailed': '敏感请求无法完成，请检查您的网络连接',
+      
+      // 暂停期间的计费方式
+      'pauseMode.exclude': '暂停期间不计时、不计费',
+      'pauseMode.continue': '暂停期间车场照常计费',
+      
+      // 停车经过
+      'event.start': '开始计时',
+      'event.pause': '暂停',
+      'event.resume': '继续计时',
+      'event.rule': '计费规则改为 {ruleString}',
+      'event.ruleWithPauseMode': '计费规则改为 {ruleString}({pauseMode})',
+      'event.startEdit': '开始时间改为 {time}',
+      'event.extend': '停车时长改为 {duration}',
+      'event.clearDuration': '取消停车时长',
+      'event.stop': '结束计时',
+      'event.discount': '优惠改为 {discounts}',
+      'event.clearDiscount': '取消优惠',
+      
+      // 车辆
+      'session.defaultName': '我的车',
+      'session.add': '添加车辆',
+      'session.addShort': '车辆',
+      'session.nameLabel': '车辆名称',
+      'session.hint': '每辆车单独计时、使用自己的计费规则，提醒会注明车辆名称',
+      'session.status.idle': '未开始',
+      'session.status.paused': '已暂停',
+      'session.status.startsAt': '{time}开始',
+      'session.status.since': '{time}起',
+      'session.numbered': '车辆{index}',
+      'session.nameTooLong': '车辆名称不能超过12个字',
+      'session.nameTaken': '已有名为"{name}"的车辆',
+      'session.added': '已添加{name}，点击开始计时',
+      
+      // 数据同步
+      'sync.serverError': '服务器返回 {status}',
+      'sync.incompatible': '同步服务器的协议版本不兼容',
+      'sync.title': '多设备同步',
+      'sync.urlPlaceholder': '同步服务器地址，如 http://192.168.1.10:8787',
+      'sync.tokenPlaceholder': '访问令牌(服务器未设置时留空)',
+      'sync.save': '保存设置',
+      'sync.now': '立即同步',
+      'sync.off': '未开启同步，数据只保存在本机',
+      'sync.hint': '车辆计时、停车记录和常用规则会在设置了同一服务器的设备间同步，停车位置照片不同步。清空地址并保存可关闭同步',
+      'sync.running': '正在同步...',
+      'sync.failedWithMessage': '同步失败：{message}',
+      'sync.badUrl': '服务器地址应以 http:// 或 https:// 开头',
+      'sync.disabled': '已关闭同步',
+      'sync.saved': '已保存同步设置',
+      'sync.saveFailed': '保存同步设置失败',
+      'sync.notConfigured': '请先填写同步服务器地址并保存',
+      'sync.done': '同步完成：上传 {pushed} 条，收到 {pulled} 条',
+      'sync.failed': '同步失败，网络恢复后会自动重试',
+      'sync.lastSync': '上次同步 {time}',
+      'sync.conflicts': '，{count} 条修改被其他设备更新的版本覆盖',
+      'sync.never': '尚未同步',
+      'sync.pending': '{status}；待上传 {count} 条',
+      
+      // 应用和安装
+      'app.name': '停车侠',
+      'app.title': '停车侠 - 精准提醒，拒绝被坑',
+      'app.tagline': '精准提醒，拒绝被坑',
+      'app.resourceFailed': '{name} 加载失败，部分功能可能受限',
+      'app.offlineUnavailable': '离线功能可能不可用，刷新页面重试',
+      'app.offline': '您当前处于离线状态，使用的是缓存内容',
+      'app.installed': '应用已成功安装到主屏幕',
+      'app.installTitle': '将停车侠添加到主屏幕',
+      'app.installHint': '获取更好的使用体验，随时查看停车时间',
+      'app.install': '安装',
+      'app.later': '稍后',
+      'app.installUnsupported': '当前浏览器不支持安装功能',
+      'app.updateAvailable': '发现新版本，点击更新以获得更好体验',
+      'app.update': '更新',
+      'app.updateAvailableRelease': '发现新版本 {release}',
+      'app.updateNotes': '更新内容：',
+      'app.updateAfterParking': '正在停车，结束停车后再更新，以免计时和提醒中断',
+      'app.updated': '已更新到 {release} 版本',
+      'app.updatedNoRelease': '已更新到新版本',
+      'app.offlineReady': '应用已保存到本机，没有网络也可以使用',
+      
+      // 通知权限
+      'permission.unsupported': '您的浏览器不支持通知功能，无法接收停车提醒',
+      'permission.enabled': '通知权限已启用',
+      'permission.granted': '通知权限已启用，您将收到停车提醒',
+      'permission.denied': '通知权限已被拒绝，请在浏览器设置中手动开启',
+      'permission.error': '请求通知权限时出错',
+      'permission.ask': '需要通知权限才能在停车时间结束前提醒您，是否现在开启？',
+      
+      // 计时状态
+      'status.idle': '未开始计时',
+      'status.running': '计时中',
+      'status.paused': '已暂停',
+      
+      // 开始时间和停车时长设置
+      'custom.open': '设置时间和时长',
+      'custom.startLabel': '设置时间:',
+      'custom.durationLabel': '停车时长:',
+      'custom.clear': '清除自定义设置',
+      'custom.close': '关闭设置',
+      'custom.startTime': '开始时间',
+      'custom.date': '日期',
+      'custom.dateTitle': '选择日期',
+      'custom.time': '时间',
+      'custom.timeTitle': '选择时间',
+      'custom.startHint': '选择过去的时间将计算已停车时长，选择未来的时间将在指定时间开始计时',
+      'custom.duration': '停车时长 (可选)',
+      'custom.hoursTitle': '小时数',
+      'custom.minutesTitle': '分钟数',
+      'custom.durationHint': '设置停车时长后，将在到达指定时长时提醒',
+      'custom.now': '当前时间',
+      'custom.dateTimeRequired': '请选择日期和时间',
+      'custom.dateTimeInvalid': '无效的日期或时间',
+      'custom.pastStartSet': '已设置过去的开始时间，将计算已停车时长',
+      'custom.futureStartSet': '已设置未来的开始时间，将在指定时间开始计时',
+      'custom.durationSet': '已设置停车时长为 {duration}',
+      'custom.cleared': '已清除自定义设置',
+      'custom.notSet': '未设置',
+      'custom.durationCleared': '已清除停车时长',
+      
+      // 计费规则设置
+      'rule.current': '当前计费规则',
+      'rule.title': '计费规则',
+      'rule.custom': '自定义规则',
+      'rule.name': '规则名称',
+      'rule.namePlaceholder': '例如：公司楼下停车场',
+      'rule.nameTitle': '停车场名称',
+      'rule.code': '规则代码',
+      'rule.codePlaceholder': '例如：15min-free,2h-5y,2y-per-hour',
+      'rule.codeTitle': '规则代码，可粘贴后点击解析',
+      'rule.parseTitle': '解析规则代码并填入表单',
+      'rule.parse': '解析',
+      'rule.freeTime': '免费时长 (分钟)',
+      'rule.freeTimeTitle': '免费时长(分钟)',
+      'rule.baseTime': '基础时长 (小时)',
+      'rule.baseTimeTitle': '基础时长(小时)',
+      'rule.baseCost': '基础费用 ({currency})',
+      'rule.baseCostTitle': '基础费用({currency})',
+      'rule.overtimeCost': '超时费用 ({currency}/计费单位)',
+      'rule.overtimeCostTitle': '超时费用({currency}/计费单位)',
+      'rule.billingUnit': '计费单位',
+      'rule.unit15': '15分钟',
+      'rule.unit30': '30分钟',
+      'rule.unit60': '1小时',
+      'rule.dailyCap': '每日封顶 ({currency})',
+      'rule.dailyCapPlaceholder': '0为不封顶',
+      'rule.dailyCapTitle': '每日封顶({currency})，0为不封顶',
+      'rule.pauseMode': '暂停期间',
+      'rule.pauseModeTitle': '暂停计时期间车场是否继续计费',
+      'rule.pauseExclude': '不计时、不计费',
+      'rule.pauseContinue': '车场照常计费',
+      'rule.advanced': '分时段/阶梯计费',
+      'rule.advancedNone': '未设置，使用上方基础规则',
+      'rule.costAlert': '费用提醒 ({currency})',
+      'rule.costAlertPlaceholder': '0为不提醒',
+      'rule.costAlertTitle': '这辆车的停车费即将超过该金额时提醒，0为不提醒',
+      'rule.save': '保存规则',
+      'rule.saved': '计费规则已保存',
+      'rule.invalid': '规则无效：{message}',
+      'rule.applied': '已应用规则',
+      'rule.parsed': '已解析规则代码，保存规则后生效',
+      
+      // 费用走势
+      'timeline.title': '费用走势',
+      'timeline.hoursTitle': '预估时长',
+      'timeline.hours3': '未来3小时',
+      'timeline.hours6': '未来6小时',
+      'timeline.hours12': '未来12小时',
+      'timeline.hours24': '未来24小时',
+      'timeline.leaveBefore': '如果在',
+      'timeline.leaveTitle': '离开时间',
+      'timeline.leaveAfter': '离开',
+      'timeline.nextJump': '下一次涨价：{time}({minutes}分钟后) {from} → {to}',
+      'timeline.noJump': '未来{hours}小时内不会再涨价，当前 {cost}',
+      'timeline.bestWindows': '最划算的离开时段',
+      'timeline.extraHourly': '每小时加{amount}',
+      'timeline.noExtra': '不加价',
+      'timeline.leaveToday': '{time} 离开需支付 {cost}(停车{duration})',
+      'timeline.leaveTomorrow': '明天{time} 离开需支付 {cost}(停车{duration})',
+      
+      // 计时操作
+      'action.start': '开始计时',
+      'action.pause': '暂停',
+      'action.stop': '结束',
+      'action.alreadyStopped': '这辆车的停车已经结束',
+      'action.alreadyRunning': '{name}已在计时',
+      'action.notStarted': '{name}还没有开始计时',
+      'action.extended': '已延长30分钟，停车时长共 {duration}',
+      
+      // 停车位置
+      'spot.none': '未记录停车位置',
+      'spot.record': '记录位置',
+      'spot.find': '找车',
+      'spot.title': '记录停车位置',
+      'spot.location': '位置',
+      'spot.relocate': '重新定位',
+      'spot.noLocation': '未定位',
+      'spot.note': '备注',
+      'spot.notePlaceholder': '如 B2-A-113',
+      'spot.photo': '照片(柱子或楼层标识)',
+      'spot.photoAlt': '停车位置照片',
+      'spot.northHint': '方向以正北为准',
+      'spot.unsupported': '设备不支持定位',
+      'spot.permissionDenied': '没有定位权限',
+      'spot.unavailable': '无法获取当前位置',
+      'spot.meters': '{value}米',
+      'spot.kilometers': '{value}公里',
+      'spot.direction.n': '北',
+      'spot.direction.ne': '东北',
+      'spot.direction.e': '东',
+      'spot.direction.se': '东南',
+      'spot.direction.s': '南',
+      'spot.direction.sw': '西南',
+      'spot.direction.w': '西',
+      'spot.direction.nw': '西北',
+      'spot.located': '已定位',
+      'spot.locatedAccuracy': '已定位(±{accuracy}米)',
+      'spot.hasPhoto': '有照片',
+      'spot.draftLocation': '{coords}(±{accuracy}米，{time})',
+      'spot.locating': '正在定位...',
+      'spot.locateFailed': '{message}，可以只填写备注或拍照',
+      'spot.saved': '已记录停车位置',
+      'spot.photoFailed': '保存照片失败',
+      'spot.noNote': '没有备注',
+      'spot.recordedAt': '记录于 {time}',
+      'spot.noCoords': '没有记录坐标',
+      'spot.unsupportedWithCoords': '设备不支持定位，停车位置 {coords}',
+      'spot.unavailableWithCoords': '无法获取当前位置，停车位置 {coords}',
+      'spot.nearby': '就在附近(定位误差约{accuracy}米)，请参考照片和备注',
+      'spot.distance': '距离约{distance}，方向{bearing}',
+      
+      // 预算
+      'budget.daily': '每日预算 ({currency})',
+      'budget.placeholder': '0为不限',
+      'budget.dailyTitle': '所有车辆当天的停车花费即将超过预算时提醒，0为不限',
+      'budget.monthly': '每月预算 ({currency})',
+      'budget.monthlyTitle': '所有车辆当月的停车花费即将超过预算时提醒，0为不限',
+      'budget.status': '已结束的停车：今天 {day}，本月 {month}',
+      'budget.today': '今日',
+      'budget.thisMonth': '本月',
+      
+      // 停车记录
+      'history.title': '停车记录',
+      'history.stats': '统计',
+      'history.backup': '备份',
+      'history.empty': '暂无停车记录',
+      'history.prev': '上一页',
+      'history.next': '下一页',
+      'history.unsupported': '浏览器不支持IndexedDB',
+      'history.saveFailed': '保存停车记录失败',
+      'history.loadFailed': '无法读取停车记录',
+      'history.pauses': '暂停{count}次',
+      'history.reminders': '提醒{count}次',
+      'history.events': '停车经过({count})',
+      'history.pageInfo': '第 {page} / {pages} 页，共 {count} 条',
+      'history.missedReminders': '错过{count}次',
+      
+      // 花费统计
+      'stats.title': '花费统计',
+      'stats.close': '关闭统计',
+      'stats.bucket.under30m': '<30分',
+      'stats.bucket.30m-1h': '30分-1时',
+      'stats.bucket.1-2h': '1-2时',
+      'stats.bucket.2-3h': '2-3时',
+      'stats.bucket.3-4h': '3-4时',
+      'stats.bucket.4-6h': '4-6时',
+      'stats.bucket.6-12h': '6-12时',
+      'stats.bucket.over12h': '>12时',
+      'stats.legacyRule': '旧记录(无规则)',
+      'stats.loading': '正在统计...',
+      'stats.totalCost': '总花费',
+      'stats.count': '停车次数',
+      'stats.averageDuration': '平均时长',
+      'stats.averageCost': '平均费用',
+      'stats.overrunLoss': '超时损失 {amount}',
+      'stats.overrunCount': '有 {count} 次停车在越过计费节点后 {minutes} 分钟内离场，多付了一个计费周期',
+      'stats.noOverrun': '没有在越过计费节点后 {minutes} 分钟内离场的停车',
+      'stats.unrated': '；{count} 条旧记录没有规则，未计算',
+      'stats.trend': '花费趋势',
+      'stats.byWeek': '按周',
+      'stats.byMonth': '按月',
+      'stats.byRule': '按规则统计',
+      'stats.ruleSummary': '{count}次，平均{duration}，平均{cost}',
+      'stats.durations': '停车时长分布',
+      
+      // 备份与导入导出
+      'backup.title': '备份与导入导出',
+      'backup.export': '导出',
+      'backup.exportJson': '完整备份(JSON)',
+      'backup.exportCsv': '停车记录(CSV)',
+      'backup.exportHint': '完整备份包含停车记录、常用规则、当前计费规则和进行中的计时，可在新手机上导入；CSV可用Excel打开，便于报销',
+      'backup.import': '导入备份',
+      'backup.merge': '合并到现有数据',
+      'backup.replace': '替换现有数据',
+      'backup.importButton': '导入',
+      'backup.error.invalid': '文件内容不是有效的备份',
+      'backup.error.unknownVersion': '无法识别的备份版本 {version}',
+      'backup.error.newerVersion': '备份来自更新版本的应用(第{version}版)，请先更新应用',
+      'backup.error.notOurs': '这不是停车侠的备份文件',
+      'backup.error.noData': '备份中没有数据',
+      'backup.error.rule': '计费规则无效：{message}',
+      'backup.error.presets': '常用规则格式不正确',
+      'backup.error.presetName': '第{index}条常用规则缺少名称',
+      'backup.error.preset': '常用规则"{name}"无效：{message}',
+      'backup.error.history': '停车记录格式不正确',
+      'backup.error.record': '第{index}条停车记录格式不正确',
+      'backup.error.sessions': '车辆计时格式不正确',
+      'backup.error.session': '第{index}个车辆计时格式不正确',
+      'backup.error.budget': '预算格式不正确',
+      'backup.error.json': '文件不是有效的JSON',
+      'backup.exported': '已导出备份，包含 {count} 条停车记录',
+      'backup.exportFailed': '导出备份失败',
+      'backup.csvExported': '已导出 {count} 条停车记录',
+      'backup.csvFailed': '导出停车记录失败',
+      'backup.fileRequired': '请选择备份文件',
+      'backup.replaceConfirm': '替换会删除当前所有停车记录、常用规则和计时，确定继续吗？',
+      'backup.imported': '导入完成：{history} 条停车记录，{presets} 条常用规则',
+      'backup.importFailed': '导入失败：{message}',
+      
+      // 提醒弹窗
+      'alert.title': '时间快到啦！',
+      'alert.before': '距离计费周期结束还有',
+      'alert.snoozeTitle': '稍后提醒间隔',
+      'alert.snooze5': '5分钟',
+      'alert.snooze10': '10分钟',
+      'alert.dismiss': '知道了',
+      'alert.switchSession': '切换到这辆车',
+      'alert.minutesSuffix': '分钟',
+      'alert.snooze': '稍后提醒',
+      'alert.timeUpTitle': '时间到啦！',
+      'alert.costTitle': '费用快超啦！',
+      'alert.budgetTitle': '预算快用完啦！',
+      'alert.limitTitle': '快到停车限制啦！',
+      
+      // 操作提示
+      'toast.success': '操作成功',
+      
+      // 导出的停车记录(CSV)表头
+      'csv.vehicle': '车辆',
+      'csv.start': '开始时间',
+      'csv.end': '结束时间',
+      'csv.duration': '停车时长(分钟)',
+      'csv.pauses': '暂停次数',
+      'csv.pausedTime': '暂停时长(分钟)',
+      'csv.cost': '费用({currency})',
+      'csv.rule': '计费规则',
+      'csv.reminders': '提醒次数',
+      'csv.spot': '停车位置',
+      'csv.paid': '实付({currency})',
+      'csv.difference': '差额({currency})',
+      'csv.status': '核对结果',
+      'csv.ruleName': '规则名称',
+      'csv.paidAt': '登记时间',
+      'csv.receiptPhoto': '收据照片',
+      'csv.yes': '有',
+      'csv.lot': '停车场',
+      'csv.grossCost': '原价({currency})',
+      'csv.discount': '优惠({currency})',
+      
+      // 界面设置
+      'settings.locale': '界面语言',
+      'settings.currency': '币种',
+      
+      // 设备时间
+      'clock.adjusted': '设备时间被调回，已按新的时间重新计算',
+      'clock.timezoneChanged': '时区已变为 {zone}，时间、分时段价格和提醒按新时区计算',
+      
+      // 收费核对
+      'receipt.title': '登记实付金额',
+      'receipt.recordText': '{name} · {time} 离场，计算费用 {cost}',
+      'receipt.paid': '实付金额',
+      'receipt.photo': '收据照片(可选)',
+      'receipt.photoAlt': '收据照片',
+      'receipt.hint': '与计算的费用相差超过核对容差时会在停车记录中标出，差异明细可在"统计"中导出。清空金额并保存可删除登记',
+      'receipt.skip': '跳过',
+      'receipt.invalid': '请输入有效的金额',
+      'receipt.saved': '已登记实付 {paid}，与计算的费用一致',
+      'receipt.savedOvercharged': '已登记实付 {paid}，比计算的费用多付 {amount}',
+      'receipt.savedUndercharged': '已登记实付 {paid}，比计算的费用少付 {amount}',
+      'receipt.cleared': '已删除实付登记',
+      'receipt.saveFailed': '保存实付金额失败',
+      'receipt.add': '登记实付',
+      'receipt.edit': '修改实付',
+      'receipt.match': '实付 {paid}',
+      'receipt.overcharged': '实付 {paid}，多付 {amount}',
+      'receipt.undercharged': '实付 {paid}，少付 {amount}',
+      'receipt.report': '收费核对',
+      'receipt.tolerance': '核对容差',
+      'receipt.reportEmpty': '还没有登记实付金额的停车记录。结束计时或在停车记录中点"登记实付"即可登记',
+      'receipt.groupSummary': '核对 {checked} 次，{count} 次有差异，多付合计 {amount}',
+      'receipt.item': '{time}：计算 {cost}，实付 {paid}',
+      'receipt.viewPhoto': '收据',
+      'receipt.export': '导出差异(CSV)',
+      'receipt.exported': '已导出 {count} 条有差异的记录',
+      'receipt.noDiscrepancy': '没有超出容差的差异',
+      'receipt.status.overcharged': '多付',
+      'receipt.status.undercharged': '少付',
+      
+      // 停车场
+      'lot.section': '停车场信息(可选)',
+      'lot.sectionHint': '填写位置后，在附近开始计时时会建议使用这条规则，停车记录也会按停车场归类',
+      'lot.address': '地址',
+      'lot.addressPlaceholder': '如 人民路88号 地下二层',
+      'lot.location': '位置',
+      'lot.useHere': '使用当前位置',
+      'lot.clearLocation': '清除',
+      'lot.noLocation': '未设置位置',
+      'lot.radius': '范围 (米)',
+      'lot.hours': '营业时间',
+      'lot.hoursPlaceholder': '如 07:00-23:00，留空为全天',
+      'lot.notes': '备注',
+      'lot.notesPlaceholder': '如 入口在东门，限高2.1米',
+      'lot.error.hours': '营业时间"{hours}"格式不正确，应为 HH:MM-HH:MM',
+      'lot.autoApply': '开始计时时自动使用附近停车场的规则',
+      'lot.suggestion': '附近有停车场"{name}"(约{distance}米)，使用它的计费规则？',
+      'lot.closedNow': '现在不在营业时间({hours})',
+      'lot.use': '使用',
+      'lot.ignore': '忽略',
+      'lot.autoApplied': '在停车场"{name}"附近，已使用它的计费规则',
+      'lot.hoursLabel': '营业 {hours}',
+      'lot.editing': '正在修改"{name}"，修改后点击"保存修改"',
+      'lot.update': '保存修改',
+      'lot.updated': '常用规则已更新',
+      'lot.editHint': '点击规则可以修改，点击垃圾桶删除',
+      'lot.all': '全部停车场',
+      'lot.none': '未关联停车场',
+      'lot.filterTitle': '按停车场查看',
+      'lot.byLot': '按停车场统计',
+      
+      // 停车限制
+      'limit.title': '停车限制',
+      'limit.maxStayLabel': '最长停放(分钟)',
+      'limit.maxStayPlaceholder': '不限',
+      'limit.windows': '禁停时段',
+      'limit.addWindow': '添加禁停时段',
+      'limit.hint': '路边停车常有限停时长和禁停时段(如早高峰、每周街道清扫)。到达限制前按提醒阶段提醒，计时卡片也会显示警告；不选星期表示每天',
+      'limit.maxStayInvalid': '最长停放时长无效',
+      'limit.windowTimeInvalid': '第{index}个禁停时段的时间无效',
+      'limit.windowCount': '{count}个禁停时段',
+      'limit.day.0': '周日',
+      'limit.day.1': '周一',
+      'limit.day.2': '周二',
+      'limit.day.3': '周三',
+      'limit.day.4': '周四',
+      'limit.day.5': '周五',
+      'limit.day.6': '周六',
+      'limit.everyDay': '每天',
+      'limit.window': '{days} {from}-{to}',
+      'limit.maxStay': '最长停放{duration}',
+      'limit.restricted': '禁停：{window}',
+      'limit.short.maxStay': '限停{duration}',
+      'limit.short.restricted': '{windows}禁停',
+      'limit.warn.startedIn': '入场时处于禁停时段 {window}，可能被罚款，请尽快挪车',
+      'limit.warn.current': '已进入禁停时段 {window}，请尽快挪车',
+      'limit.warn.next': '{time} 起禁停({window})，请在此前挪车',
+      'limit.warn.maxStay': '限停{duration}，请在 {time} 前挪车',
+      'limit.warn.maxStayExceeded': '已超过最长停放时长 {duration}，请尽快挪车',
+      
+      // 日历导出
+      'calendar.priceSummary': '{name}停车费将涨到 {cost}',
+      'calendar.maxStaySummary': '{name}停满最长停放时长 {duration}',
+      'calendar.restrictionSummary': '{name}进入禁停时段 {window}',
+      'calendar.cancelledSummary': '已取消 - {name}',
+      'calendar.rule': '计费规则：{rule}',
+      'calendar.spot': '停车位置：{note}',
+      'calendar.export': '加入日历',
+      'calendar.update': '更新日历',
+      'calendar.remove': '从日历移除',
+      'calendar.exportTitle': '下载 .ics 文件，用系统日历提醒(通知不可靠的手机上也会响)',
+      'calendar.exported': '已导出 {count} 个日历事件，用系统日历打开文件即可加入',
+      'calendar.cancelExported': '；另一个文件取消 {count} 个不再需要的提醒，也请用系统日历打开',
+      'calendar.outdated': '规则或时间已变化，请更新日历中的提醒',
+      'calendar.removeHint': '计时已暂停或结束，日历中的提醒不会自动删除',
+      'calendar.removed': '用系统日历打开文件即可删除之前加入的提醒',
+      'calendar.notRunning': '开始计时后才能加入日历',
+      'calendar.empty': '之后24小时内没有需要提醒的事件',
+      
+      // 分享
+      'share.open': '分享',
+      'share.title': '分享这次停车',
+      'share.linkLabel': '分享链接',
+      'share.hint': '对方打开链接或扫描二维码后，在自己的设备上按同样的开始时间、计费规则和停车时长计时和提醒，不经过服务器。之后的修改不会同步，需要重新分享。',
+      'share.copy': '复制链接',
+      'share.copied': '链接已复制',
+      'share.copyFailed': '无法自动复制，请手动复制选中的链接',
+      'share.system': '其他应用',
+      'share.shareTitle': '{name}的停车计时',
+      'share.notStarted': '{name}还没有设置开始时间，无法分享',
+      'share.qrFailed': '链接太长，无法生成二维码，请复制链接分享',
+      'share.banner': '这是分享来的停车计时，只能查看',
+      'share.adopt': '接管',
+      'share.adoptTitle': '接管后可以像自己的车辆一样暂停、结束和修改',
+      'share.adopted': '已接管{name}，可以暂停、结束和修改',
+      'share.remove': '移除',
+      'share.removed': '已移除分享的{name}',
+      'share.readOnly': '分享来的停车计时只能查看，接管后才能修改',
+      'share.tabTitle': '分享来的停车计时(只读)',
+      'share.imported': '已打开分享的停车计时：{name}',
+      'share.updated': '已按分享链接更新{name}',
+      'share.alreadyAdopted': '这个分享已经接管为{name}，不再按链接更新',
+      'share.openFailed': '无法打开分享链接：{message}',
+      'share.error.format': '链接内容无效或不完整',
+      'share.error.newerVersion': '链接由更新版本的应用生成，请更新后再打开',
+      'share.error.field': '链接中的 {field} 无效',
+      'share.error.rule': '链接中的计费规则无效({message})',
+      
+      // 停车优惠
+      'discount.none': '没有优惠',
+      'discount.edit': '优惠',
+      'discount.title': '停车优惠',
+      'discount.spendLabel': '在商户消费的金额',
+      'discount.spendPlaceholder': '用于“消费满…”的优惠',
+      'discount.spendInvalid': '消费金额需为不小于0的数字',
+      'discount.spendSummary': '已消费{amount}',
+      'discount.list': '优惠',
+      'discount.add': '添加优惠',
+      'discount.hint': '如“消费满200免2小时”、会员9折、凭小票减5元。条件可以不填，不选星期表示每天；多个优惠按免时长、折扣、减免、封顶的顺序计算。计时显示、提醒和停车记录都按优惠后的实付计算',
+      'discount.typeLabel': '优惠类型',
+      'discount.valueLabel': '分钟、百分比或金额',
+      'discount.type.free-time': '免停车时长(分钟)',
+      'discount.type.percent': '按比例减免(%)',
+      'discount.type.amount': '减免金额',
+      'discount.type.cap': '最多支付',
+      'discount.labelPlaceholder': '说明(可选)，如“万达会员”',
+      'discount.minSpendPlaceholder': '消费满(可选)',
+      'discount.minMinutesPlaceholder': '停满分钟(可选)',
+      'discount.typeInvalid': '不支持的优惠类型',
+      'discount.valueInvalid.free-time': '免停车时长需为大于0的分钟数',
+      'discount.valueInvalid.percent': '减免比例需在0到100之间',
+      'discount.valueInvalid.amount': '减免金额需大于0',
+      'discount.valueInvalid.cap': '最多支付的金额需大于0',
+      'discount.conditionInvalid': '优惠条件无效：消费金额不能小于0，停车时长需为整数分钟',
+      'discount.rowInvalid': '第{index}项优惠：{message}',
+      'discount.saved': '优惠已保存，费用和提醒已按实付更新',
+      'discount.breakdown': '原价{gross}，优惠{discount}',
+      'discount.describe.freeTime': '免{duration}',
+      'discount.describe.percent': '减免{percent}%',
+      'discount.describe.amount': '减{amount}',
+      'discount.describe.cap': '最多付{amount}',
+      'discount.describe.minSpend': '消费满{amount}',
+      'discount.describe.minMinutes': '停满{duration}',
+      'discount.describe.withConditions': '{discount}({conditions})'
+    },
+    
+    en: {
+      // 通用
+      'common.listSeparator': ', ',
+      'common.clauseSeparator': ', ',
+      'common.settings': 'Settings',
+      'common.add': 'Add',
+      'common.close': 'Close',
+      'common.save': 'Save',
+      'common.minutes': 'Minutes',
+      'common.hours': 'Hours',
+      'common.confirm': 'OK',
+      'common.delete': 'Delete',
+      
+      // 时长
+      'duration.hoursMinutes': '{hours} h {minutes} min',
+      'duration.hours': '{hours} h',
+      'duration.minutes': '{minutes} min',
+      'duration.hourUnit': 'hour',
+      'duration.clear': 'Clear',
+      'duration.title': 'Set parking duration',
+      'duration.close': 'Close duration picker',
+      'duration.hint': 'With a duration set, the timer counts down and reminds you when it is reached',
+      'duration.days': '{days} d',
+      'duration.daysRest': '{days} d {rest}',
+      
+      // 计时器
+      'timer.countdown': 'Starts in {time}',
+      'timer.remaining': '{time} left',
+      'timer.elapsedLabel': 'Time parked',
+      'timer.started': 'Timer started',
+      'timer.scheduled': 'The timer starts at {time}',
+      'timer.paused': 'Timer paused',
+      'timer.stopped': 'Timer stopped for {name}',
+      'timer.days': { one: '{count} day {time}', other: '{count} days {time}' },
+      
+      // 计费规则描述
+      'pricing.freeMinutes': 'First {minutes} min free',
+      'pricing.noFreeTime': 'No free period',
+      'pricing.after': 'After {duration}',
+      'pricing.line': '{range}: {price}',
+      'pricing.periodCap': '{label} cap per period: {amount}',
+      'pricing.otherPeriods': 'Other times ',
+      'pricing.dailyCap': 'Daily cap: {amount}',
+      'pricing.rollingCap': 'Cap per 24 hours: {amount}',
+      'pricing.short.noFree': 'No free period',
+      'pricing.short.flat': '{duration} {amount}',
+      'pricing.short.overtime': 'then {price}',
+      'pricing.short.period': '{label} priced separately',
+      'pricing.short.dailyCap': 'capped at {amount} a day',
+      'pricing.short.rollingCap': 'capped at {amount} per 24 h',
+      'pricing.tiers': 'Tiered prices',
+      'pricing.addTier': 'Add tier',
+      'pricing.tiersHint': 'Split by total time parked, e.g. 10 for the first hour, then 3 per 30 minutes; leave "Up to" empty for all remaining time. Without tiers the base period, base fee and overtime fee are used',
+      'pricing.periods': 'Time-of-day prices',
+      'pricing.addPeriod': 'Add period',
+      'pricing.periodsHint': 'E.g. night 20:00-08:00 at 1 per hour, capped at 10 a night. Each billing unit is priced by the period it starts in; time outside all periods uses the tiered prices',
+      'pricing.capMode': 'Daily cap applies',
+      'pricing.capRolling': 'Every 24 hours from entry',
+      'pricing.capCalendar': 'Per calendar day',
+      'pricing.tierCount': { one: '{count} tier', other: '{count} tiers' },
+      'pricing.tierUpTo': 'Up to (min)',
+      'pricing.tierUpToTitle': 'Up to this total time (minutes); leave empty for all remaining time',
+      'pricing.tierType': 'Pricing method',
+      'pricing.tierPerUnit': 'Per unit',
+      'pricing.tierFlat': 'Flat',
+      'pricing.tierAmountTitle': 'Amount ({currency})',
+      'pricing.unitShort': 'min',
+      'pricing.unitTitle': 'Billing unit (minutes)',
+      'pricing.periodLabel': 'Name',
+      'pricing.periodLabelTitle': 'Period name',
+      'pricing.periodFrom': 'Start time',
+      'pricing.periodTo': 'End time',
+      'pricing.periodPrice': 'Price ({currency})',
+      'pricing.periodPriceTitle': 'Price per billing unit ({currency})',
+      'pricing.periodUnit': 'Unit (min)',
+      'pricing.periodCapShort': 'Cap ({currency})',
+      'pricing.periodCapTitle': 'Cap per period ({currency}); leave empty for no cap',
+      'pricing.tierAmountInvalid': 'Tier {index} has an invalid amount',
+      'pricing.tierUpToNotIncreasing': 'Tier {index} must end later than the previous tier',
+      'pricing.tierOpenNotLast': 'Only the last tier may have no limit',
+      'pricing.periodTimeInvalid': 'Period {index} has an invalid time',
+      'pricing.periodPriceInvalid': 'Period {index} has an invalid price',
+      'pricing.savedDraft': 'Time-of-day / tiered pricing applies after you save the rule',
+      
+      // 规则字符串错误
+      'ruleString.empty': 'The rule code is empty',
+      'ruleString.unbalanced': 'Unbalanced parentheses in the rule code',
+      'ruleString.rule': 'The rule',
+      'ruleString.part': 'Part {index} "{clause}"',
+      'ruleString.emptyPart': 'Part {index} is empty; check for an extra comma',
+      'ruleString.badUnit': '{describe}: billing unit "{value}" is invalid; use a duration such as hour or 30min',
+      'ruleString.badUpTo': '{describe}: limit "{value}" is invalid; use a duration such as 2h or 90min',
+      'ruleString.badDuration': '{describe}: duration "{value}" is invalid; use a duration such as 2h or 90min',
+      'ruleString.openTierNotLast': '{describe}: only the last price may have no limit',
+      'ruleString.tiersNotIncreasing': '{describe}: tier limits must increase ({current} is not greater than {previous})',
+      'ruleString.badClock': '{describe}: time "{value}" is invalid; use HH:MM-HH:MM',
+      'ruleString.badPeriodPart': '{describe}: "{value}" is not recognized; a period may only contain prices and cap-<amount>',
+      'ruleString.periodMissingPrice': '{describe} has no price, e.g. 1y-per-hour',
+      'ruleString.badFreeTime': '{describe}: free time is invalid; use a format such as 15min-free',
+      'ruleString.duplicateFreeTime': '{describe} sets the free time a second time',
+      'ruleString.unknown': '{describe} is not recognized; supported formats are 15min-free, 2h-5y, 2y-per-hour, 3y-per-30min-until-2h, 10y-per-visit, cap-40y, night(20:00-08:00;1y-per-hour), max-2h, no-parking-tue-08:00-10:00',
+      'ruleString.missingPrice': 'The rule has no price, e.g. 2y-per-hour',
+      'ruleString.badMaxStay': '{describe}: maximum stay "{value}" is invalid, expected something like max-2h',
+      'ruleString.badDays': '{describe}: days "{value}" are invalid, use sun, mon, tue, wed, thu, fri, sat joined with +',
+      
+      // 内置常用规则
+      'preset.mall': 'Shopping mall',
+      'preset.office': 'Office building',
+      'preset.scenic': 'Scenic area',
+      'preset.airport': 'Airport / station',
+      'preset.title': 'Saved rules',
+      'preset.sort': 'Sort',
+      'preset.edit': 'Edit',
+      'preset.add': 'Save to list',
+      'preset.nameRequired': 'Enter a rule name',
+      'preset.added': 'Rule saved to your list',
+      'preset.inUse': 'The rule in use cannot be deleted',
+      'preset.deleted': 'Rule deleted',
+      'preset.done': 'Done',
+      'preset.sortSaved': 'Order saved',
+      
+      // 提醒
+      'reminder.level.gentle': 'Gentle',
+      'reminder.level.normal': 'Normal',
+      'reminder.level.urgent': 'Urgent',
+      'reminder.tooManyStages': 'At most {max} reminders',
+      'reminder.stageRange': 'Reminder lead time must be 1-{max} minutes',
+      'reminder.stageDuplicate': 'Each reminder needs a different lead time',
+      'reminder.stagesSummary': 'Remind {minutes} min before',
+      'reminder.noStages': 'No advance reminders',
+      'reminder.next': 'Next reminder',
+      'reminder.waiting': 'Waiting to start...',
+      'reminder.stagesLabel': 'Remind before each billing period ends',
+      'reminder.timeUpLabel': 'Remind when the duration ends',
+      'reminder.levelTitle': 'Sound and vibration strength',
+      'reminder.stagesHint': 'Add several reminders (e.g. 15, 5 and 1 minutes before), each with its own sound and vibration strength',
+      'reminder.none': 'No more reminders',
+      'reminder.delivery.trigger': 'System scheduled notification: reminders arrive on time even with the page closed',
+      'reminder.delivery.worker': 'Background reminder: with the page closed, the background service reminds you as close to on time as it can',
+      'reminder.delivery.page': 'In-page reminder: keep this page open and allow notifications',
+      'reminder.soon': 'Any moment',
+      'reminder.getReady': 'Time to move the car!',
+      'reminder.inMinutes': 'In {minutes} min',
+      'reminder.inHoursMinutes': 'In {hours} h {minutes} min',
+      'reminder.snoozed': 'You will be reminded again in {minutes} min',
+      'reminder.stage.snooze': 'Snoozed · {level}',
+      'reminder.stage.timeUp': 'Duration ended · {level}',
+      'reminder.stage.numbered': 'Reminder {index}/{count} · {level}',
+      'reminder.stageBefore': 'Before',
+      'reminder.stageMinutesTitle': 'Minutes before',
+      'reminder.stageMinutesUnit': 'min',
+      'reminder.missed': { one: 'A reminder was due at {time} while the device was asleep or the app was closed', other: '{count} reminders were due while the device was asleep or the app was closed, the first at {time}' },
+      
+      // 通知
+      'notify.appTitle': 'Parking reminder',
+      'notify.defaultBody': 'Your parking time is about to end',
+      'notify.reminderTitle': 'Parking reminder - {name}',
+      'notify.reminderBody': '{name}: {minutes} min until the next billing period',
+      'notify.timeUpTitle': 'Parking time is up - {name}',
+      'notify.timeUpBody': 'The parking duration set for {name} has ended',
+      'notify.costTitle': 'Cost alert - {name}',
+      'notify.costBody': 'Parking for {name} will exceed {limit} at {time} ({cost} by then)',
+      'notify.pushFallback': 'You have a parking notification; open the app for details',
+      'notify.clickForDetails': 'Tap for details',
+      'notify.action.view': 'Details',
+      'notify.action.extend': 'Extend',
+      'notify.action.extend30': 'Extend 30 min',
+      'notify.action.snooze': 'Remind in {minutes} min',
+      'notify.action.dismiss': 'Close',
+      'notify.snoozeBody': 'Snooze is over; please take care of parking for {name}',
+      'notify.budgetTitle': 'Budget alert - {label}',
+      'notify.budgetExceeded': '{label}: parking spend is {total}, over the {limit} budget',
+      'notify.budgetBody': '{label}: parking spend will exceed the {limit} budget after {time} ({total} by then)',
+      'notify.missedTitle': 'Missed parking reminders',
+      'notify.limitTitle': 'Parking limit - {name}',
+      'notify.maxStayBody': '{name} reaches the {duration} maximum stay at {time}, {minutes} min from now. Move the car before then',
+      'notify.restrictionBody': 'No parking ({window}) starts in {minutes} min. Move {name} before then',
+      'notify.liveTitle': '{name} is parked',
+      'notify.livePausedTitle': '{name} is paused',
+      'notify.liveBody': 'Parked {duration}, now {cost}',
+      'notify.liveNextChange': 'Goes up to {cost} in {duration}',
+      'notify.liveNoChange': 'No price change in the next 24 hours',
+      'notify.liveDurationEnd': '{duration} of parking time left',
+      'notify.liveOvertime': 'Over the parking time by {duration}',
+      'notify.livePaused': 'Paused, not timing or charging',
+      'notify.action.stop': 'Stop',
+      
+      // 离线
+      'offline.networkFailed': 'Network request failed; please check your connection',
+      'offline.sensitiveFailed': 'This request needs a network connection; please check your connection',
+      
+      // 暂停期间的计费方式
+      'pauseMode.exclude': 'Paused time is not counted or charged',
+      'pauseMode.continue': 'The lot keeps charging while paused',
+      
+      // 停车经过
+      'event.start': 'Started',
+      'event.pause': 'Paused',
+      'event.resume': 'Resumed',
+      'event.rule': 'Pricing changed to {ruleString}',
+      'event.ruleWithPauseMode': 'Pricing changed to {ruleString} ({pauseMode})',
+      'event.startEdit': 'Start time changed to {time}',
+      'event.extend': 'Duration changed to {duration}',
+      'event.clearDuration': 'Duration cleared',
+      'event.stop': 'Stopped',
+      'event.discount': 'Discounts set to {discounts}',
+      'event.clearDiscount': 'Discounts removed',
+      
+      // 车辆
+      'session.defaultName': 'My car',
+      'session.add': 'Add vehicle',
+      'session.addShort': 'Vehicle',
+      'session.nameLabel': 'Vehicle name',
+      'session.hint': 'Each vehicle has its own timer and pricing; reminders include the vehicle name',
+      'session.status.idle': 'Not started',
+      'session.status.paused': 'Paused',
+      'session.status.startsAt': 'starts {time}',
+      'session.status.since': 'since {time}',
+      'session.numbered': 'Vehicle {index}',
+      'session.nameTooLong': 'Vehicle names can be at most 12 characters',
+      'session.nameTaken': 'There is already a vehicle named "{name}"',
+      'session.added': 'Added {name}; tap Start to begin',
+      
+      // 数据同步
+      'sync.serverError': 'Server returned {status}',
+      'sync.incompatible': 'The sync server uses an incompatible protocol version',
+      'sync.title': 'Multi-device sync',
+      'sync.urlPlaceholder': 'Sync server URL, e.g. http://192.168.1.10:8787',
+      'sync.tokenPlaceholder': 'Access token (leave empty if the server has none)',
+      'sync.save': 'Save settings',
+      'sync.now': 'Sync now',
+      'sync.off': 'Sync is off; data stays on this device',
+      'sync.hint': 'Timers, history and saved rules sync between devices using the same server; spot photos are not synced. Clear the URL and save to turn sync off',
+      'sync.running': 'Syncing...',
+      'sync.failedWithMessage': 'Sync failed: {message}',
+      'sync.badUrl': 'The server URL must start with http:// or https://',
+      'sync.disabled': 'Sync turned off',
+      'sync.saved': 'Sync settings saved',
+      'sync.saveFailed': 'Could not save sync settings',
+      'sync.notConfigured': 'Enter and save a sync server URL first',
+      'sync.done': 'Sync complete: {pushed} sent, {pulled} received',
+      'sync.failed': 'Sync failed; it will retry when the network is back',
+      'sync.lastSync': 'Last synced {time}',
+      'sync.conflicts': { one: ', 1 change was replaced by a newer version from another device', other: ', {count} changes were replaced by newer versions from other devices' },
+      'sync.never': 'Not synced yet',
+      'sync.pending': '{status}; {count} waiting to upload',
+      
+      // 应用和安装
+      'app.name': 'Parking Pal',
+      'app.title': 'Parking Pal - Timely reminders, no surprise fees',
+      'app.tagline': 'Timely reminders, no surprise fees',
+      'app.resourceFailed': '{name} failed to load; some features may be limited',
+      'app.offlineUnavailable': 'Offline mode may be unavailable; reload the page to retry',
+      'app.offline': 'You are offline; showing cached content',
+      'app.installed': 'The app was added to your home screen',
+      'app.installTitle': 'Add Parking Pal to your home screen',
+      'app.installHint': 'Check your parking time at any moment',
+      'app.install': 'Install',
+      'app.later': 'Later',
+      'app.installUnsupported': 'This browser does not support installing apps',
+      'app.updateAvailable': 'A new version is available; update to get the latest improvements',
+      'app.update': 'Update',
+      'app.updateAvailableRelease': 'Version {release} is available',
+      'app.updateNotes': 'What changed:',
+      'app.updateAfterParking': 'A car is parked. Update after you stop so timers and reminders are not interrupted',
+      'app.updated': 'Updated to version {release}',
+      'app.updatedNoRelease': 'Updated to the new version',
+      'app.offlineReady': 'The app is saved on this device and works offline',
+      
+      // 通知权限
+      'permission.unsupported': 'Your browser does not support notifications, so parking reminders cannot be shown',
+      'permission.enabled': 'Notifications are enabled',
+      'permission.granted': 'Notifications are enabled; you will receive parking reminders',
+      'permission.denied': 'Notifications are blocked; enable them in your browser settings',
+      'permission.error': 'Could not request notification permission',
+      'permission.ask': 'Notifications are needed to remind you before your parking time ends. Enable them now?',
+      
+      // 计时状态
+      'status.idle': 'Not started',
+      'status.running': 'Running',
+      'status.paused': 'Paused',
+      
+      // 开始时间和停车时长设置
+      'custom.open': 'Set start time and duration',
+      'custom.startLabel': 'Start:',
+      'custom.durationLabel': 'Duration:',
+      'custom.clear': 'Clear custom settings',
+      'custom.close': 'Close settings',
+      'custom.startTime': 'Start time',
+      'custom.date': 'Date',
+      'custom.dateTitle': 'Choose a date',
+      'custom.time': 'Time',
+      'custom.timeTitle': 'Choose a time',
+      'custom.startHint': 'A past time counts the time already parked; a future time starts the timer then',
+      'custom.duration': 'Duration (optional)',
+      'custom.hoursTitle': 'Hours',
+      'custom.minutesTitle': 'Minutes',
+      'custom.durationHint': 'With a duration set, you are reminded when it is reached',
+      'custom.now': 'Now',
+      'custom.dateTimeRequired': 'Choose a date and time',
+      'custom.dateTimeInvalid': 'Invalid date or time',
+      'custom.pastStartSet': 'Start time set in the past; time already parked is counted',
+      'custom.futureStartSet': 'Start time set in the future; the timer starts then',
+      'custom.durationSet': 'Parking duration set to {duration}',
+      'custom.cleared': 'Custom settings cleared',
+      'custom.notSet': 'Not set',
+      'custom.durationCleared': 'Parking duration cleared',
+      
+      // 计费规则设置
+      'rule.current': 'Current pricing',
+      'rule.title': 'Pricing',
+      'rule.custom': 'Custom rule',
+      'rule.name': 'Rule name',
+      'rule.namePlaceholder': 'e.g. Office garage',
+      'rule.nameTitle': 'Parking lot name',
+      'rule.code': 'Rule code',
+      'rule.codePlaceholder': 'e.g. 15min-free,2h-5y,2y-per-hour',
+      'rule.codeTitle': 'Rule code; paste one and tap Parse',
+      'rule.parseTitle': 'Parse the rule code into the form',
+      'rule.parse': 'Parse',
+      'rule.freeTime': 'Free time (min)',
+      'rule.freeTimeTitle': 'Free time (minutes)',
+      'rule.baseTime': 'Base period (h)',
+      'rule.baseTimeTitle': 'Base period (hours)',
+      'rule.baseCost': 'Base fee ({currency})',
+      'rule.baseCostTitle': 'Base fee ({currency})',
+      'rule.overtimeCost': 'Overtime fee ({currency}/unit)',
+      'rule.overtimeCostTitle': 'Overtime fee ({currency} per billing unit)',
+      'rule.billingUnit': 'Billing unit',
+      'rule.unit15': '15 min',
+      'rule.unit30': '30 min',
+      'rule.unit60': '1 hour',
+      'rule.dailyCap': 'Daily cap ({currency})',
+      'rule.dailyCapPlaceholder': '0 = no cap',
+      'rule.dailyCapTitle': 'Daily cap ({currency}); 0 means no cap',
+      'rule.pauseMode': 'While paused',
+      'rule.pauseModeTitle': 'Whether the lot keeps charging while the timer is paused',
+      'rule.pauseExclude': 'Not counted or charged',
+      'rule.pauseContinue': 'The lot keeps charging',
+      'rule.advanced': 'Time-of-day / tiered pricing',
+      'rule.advancedNone': 'Not set; the basic rule above is used',
+      'rule.costAlert': 'Cost alert ({currency})',
+      'rule.costAlertPlaceholder': '0 = off',
+      'rule.costAlertTitle': 'Alert when this vehicle\'s fee is about to exceed this amount; 0 turns it off',
+      'rule.save': 'Save rule',
+      'rule.saved': 'Pricing saved',
+      'rule.invalid': 'Invalid rule: {message}',
+      'rule.applied': 'Rule applied',
+      'rule.parsed': 'Rule code parsed; save the rule to apply it',
+      
+      // 费用走势
+      'timeline.title': 'Cost outlook',
+      'timeline.hoursTitle': 'Forecast range',
+      'timeline.hours3': 'Next 3 hours',
+      'timeline.hours6': 'Next 6 hours',
+      'timeline.hours12': 'Next 12 hours',
+      'timeline.hours24': 'Next 24 hours',
+      'timeline.leaveBefore': 'If I leave at',
+      'timeline.leaveTitle': 'Leave time',
+      'timeline.leaveAfter': '',
+      'timeline.nextJump': 'Next increase: {time} (in {minutes} min) {from} → {to}',
+      'timeline.noJump': 'No increase in the next {hours} hours; currently {cost}',
+      'timeline.bestWindows': 'Best times to leave',
+      'timeline.extraHourly': '+{amount} per hour',
+      'timeline.noExtra': 'no extra cost',
+      'timeline.leaveToday': 'Leaving at {time} costs {cost} ({duration} parked)',
+      'timeline.leaveTomorrow': 'Leaving tomorrow at {time} costs {cost} ({duration} parked)',
+      
+      // 计时操作
+      'action.start': 'Start',
+      'action.pause': 'Pause',
+      'action.stop': 'Stop',
+      'action.alreadyStopped': 'Parking for this vehicle has already ended',
+      'action.alreadyRunning': '{name} is already being timed',
+      'action.notStarted': 'The timer for {name} has not started',
+      'action.extended': 'Extended by 30 min; total duration {duration}',
+      
+      // 停车位置
+      'spot.none': 'No parking spot saved',
+      'spot.record': 'Save spot',
+      'spot.find': 'Find car',
+      'spot.title': 'Save parking spot',
+      'spot.location': 'Location',
+      'spot.relocate': 'Locate again',
+      'spot.noLocation': 'No location',
+      'spot.note': 'Note',
+      'spot.notePlaceholder': 'e.g. B2-A-113',
+      'spot.photo': 'Photo (pillar or floor sign)',
+      'spot.photoAlt': 'Parking spot photo',
+      'spot.northHint': 'Direction is relative to true north',
+      'spot.unsupported': 'Location is not supported on this device',
+      'spot.permissionDenied': 'Location permission denied',
+      'spot.unavailable': 'Current location unavailable',
+      'spot.meters': '{value} m',
+      'spot.kilometers': '{value} km',
+      'spot.direction.n': 'N',
+      'spot.direction.ne': 'NE',
+      'spot.direction.e': 'E',
+      'spot.direction.se': 'SE',
+      'spot.direction.s': 'S',
+      'spot.direction.sw': 'SW',
+      'spot.direction.w': 'W',
+      'spot.direction.nw': 'NW',
+      'spot.located': 'Located',
+      'spot.locatedAccuracy': 'Located (±{accuracy} m)',
+      'spot.hasPhoto': 'Photo',
+      'spot.draftLocation': '{coords} (±{accuracy} m, {time})',
+      'spot.locating': 'Locating...',
+      'spot.locateFailed': '{message}; you can still add a note or photo',
+      'spot.saved': 'Parking spot saved',
+      'spot.photoFailed': 'Could not save the photo',
+      'spot.noNote': 'No note',
+      'spot.recordedAt': 'Saved at {time}',
+      'spot.noCoords': 'No coordinates saved',
+      'spot.unsupportedWithCoords': 'Location is not supported; the car is at {coords}',
+      'spot.unavailableWithCoords': 'Current location unavailable; the car is at {coords}',
+      'spot.nearby': 'Nearby (location accuracy about {accuracy} m); check the photo and note',
+      'spot.distance': 'About {distance}, direction {bearing}',
+      
+      // 预算
+      'budget.daily': 'Daily budget ({currency})',
+      'budget.placeholder': '0 = no limit',
+      'budget.dailyTitle': 'Alert when today\'s parking spend for all vehicles is about to exceed the budget; 0 means no limit',
+      'budget.monthly': 'Monthly budget ({currency})',
+      'budget.monthlyTitle': 'Alert when this month\'s parking spend for all vehicles is about to exceed the budget; 0 means no limit',
+      'budget.status': 'Finished parking: {day} today, {month} this month',
+      'budget.today': 'Today',
+      'budget.thisMonth': 'This month',
+      
+      // 停车记录
+      'history.title': 'Parking history',
+      'history.stats': 'Stats',
+      'history.backup': 'Backup',
+      'history.empty': 'No parking history yet',
+      'history.prev': 'Previous',
+      'history.next': 'Next',
+      'history.unsupported': 'This browser does not support IndexedDB',
+      'history.saveFailed': 'Could not save the parking record',
+      'history.loadFailed': 'Could not read parking history',
+      'history.pauses': { one: 'paused once', other: 'paused {count} times' },
+      'history.reminders': { one: '1 reminder', other: '{count} reminders' },
+      'history.events': 'Timeline ({count})',
+      'history.pageInfo': 'Page {page} of {pages}, {count} records',
+      'history.missedReminders': { one: '1 missed', other: '{count} missed' },
+      
+      // 花费统计
+      'stats.title': 'Spending',
+      'stats.close': 'Close stats',
+      'stats.bucket.under30m': '<30m',
+      'stats.bucket.30m-1h': '30m-1h',
+      'stats.bucket.1-2h': '1-2h',
+      'stats.bucket.2-3h': '2-3h',
+      'stats.bucket.3-4h': '3-4h',
+      'stats.bucket.4-6h': '4-6h',
+      'stats.bucket.6-12h': '6-12h',
+      'stats.bucket.over12h': '>12h',
+      'stats.legacyRule': 'Old records (no rule)',
+      'stats.loading': 'Calculating...',
+      'stats.totalCost': 'Total spent',
+      'stats.count': 'Parking sessions',
+      'stats.averageDuration': 'Average time',
+      'stats.averageCost': 'Average cost',
+      'stats.overrunLoss': 'Overrun loss {amount}',
+      'stats.overrunCount': { one: '1 session ended within {minutes} min after a billing step and paid for an extra period', other: '{count} sessions ended within {minutes} min after a billing step and paid for an extra period' },
+      'stats.noOverrun': 'No session ended within {minutes} min after a billing step',
+      'stats.unrated': { one: '; 1 old record has no rule and was skipped', other: '; {count} old records have no rule and were skipped' },
+      'stats.trend': 'Spending trend',
+      'stats.byWeek': 'Weekly',
+      'stats.byMonth': 'Monthly',
+      'stats.byRule': 'By rule',
+      'stats.ruleSummary': '{count}×, average {duration}, average {cost}',
+      'stats.durations': 'Time parked',
+      
+      // 备份与导入导出
+      'backup.title': 'Backup, import and export',
+      'backup.export': 'Export',
+      'backup.exportJson': 'Full backup (JSON)',
+      'backup.exportCsv': 'Parking history (CSV)',
+      'backup.exportHint': 'A full backup contains history, saved rules, the current pricing and running timers and can be imported on a new phone; the CSV opens in Excel for expense claims',
+      'backup.import': 'Import backup',
+      'backup.merge': 'Merge with existing data',
+      'backup.replace': 'Replace existing data',
+      'backup.importButton': 'Import',
+      'backup.error.invalid': 'The file is not a valid backup',
+      'backup.error.unknownVersion': 'Unknown backup version {version}',
+      'backup.error.newerVersion': 'The backup comes from a newer version of the app (version {version}); please update first',
+      'backup.error.notOurs': 'This is not a Parking Pal backup',
+      'backup.error.noData': 'The backup contains no data',
+      'backup.error.rule': 'Invalid pricing rule: {message}',
+      'backup.error.presets': 'Saved rules are malformed',
+      'backup.error.presetName': 'Saved rule {index} has no name',
+      'backup.error.preset': 'Saved rule "{name}" is invalid: {message}',
+      'backup.error.history': 'Parking history is malformed',
+      'backup.error.record': 'Parking record {index} is malformed',
+      'backup.error.sessions': 'Vehicle timers are malformed',
+      'backup.error.session': 'Vehicle timer {index} is malformed',
+      'backup.error.budget': 'Budget settings are malformed',
+      'backup.error.json': 'The file is not valid JSON',
+      'backup.exported': { one: 'Backup exported with 1 parking record', other: 'Backup exported with {count} parking records' },
+      'backup.exportFailed': 'Could not export the backup',
+      'backup.csvExported': { one: 'Exported 1 parking record', other: 'Exported {count} parking records' },
+      'backup.csvFailed': 'Could not export parking history',
+      'backup.fileRequired': 'Choose a backup file',
+      'backup.replaceConfirm': 'Replacing deletes all current parking history, saved rules and timers. Continue?',
+      'backup.imported': 'Import complete: {history} parking records, {presets} saved rules',
+      'backup.importFailed': 'Import failed: {message}',
+      
+      // 提醒弹窗
+      'alert.title': 'Almost time!',
+      'alert.before': 'Time until the billing period ends:',
+      'alert.snoozeTitle': 'Snooze interval',
+      'alert.snooze5': '5 min',
+      'alert.snooze10': '10 min',
+      'alert.dismiss': 'Got it',
+      'alert.switchSession': 'Switch to this vehicle',
+      'alert.minutesSuffix': ' min',
+      'alert.snooze': 'Snooze',
+      'alert.timeUpTitle': 'Time is up!',
+      'alert.costTitle': 'Cost limit ahead!',
+      'alert.budgetTitle': 'Budget almost used up!',
+      'alert.limitTitle': 'Parking limit ahead!',
+      
+      // 操作提示
+      'toast.success': 'Done',
+      
+      // 导出的停车记录(CSV)表头
+      'csv.vehicle': 'Vehicle',
+      'csv.start': 'Start',
+      'csv.end': 'End',
+      'csv.duration': 'Duration (min)',
+      'csv.pauses': 'Pauses',
+      'csv.pausedTime': 'Paused (min)',
+      'csv.cost': 'Cost ({currency})',
+      'csv.rule': 'Pricing rule',
+      'csv.reminders': 'Reminders',
+      'csv.spot': 'Parking spot',
+      'csv.paid': 'Paid ({currency})',
+      'csv.difference': 'Difference ({currency})',
+      'csv.status': 'Result',
+      'csv.ruleName': 'Rule name',
+      'csv.paidAt': 'Recorded at',
+      'csv.receiptPhoto': 'Receipt photo',
+      'csv.yes': 'Yes',
+      'csv.lot': 'Parking lot',
+      'csv.grossCost': 'Full price ({currency})',
+      'csv.discount': 'Discount ({currency})',
+      
+      // 界面设置
+      'settings.locale': 'Language',
+      'settings.currency': 'Currency',
+      
+      // 设备时间
+      'clock.adjusted': 'The device clock was set back; times have been recalculated',
+      'clock.timezoneChanged': 'Time zone changed to {zone}; times, time-of-day prices and reminders now follow it',
+      
+      // 收费核对
+      'receipt.title': 'Record amount paid',
+      'receipt.recordText': '{name} · left at {time}, calculated {cost}',
+      'receipt.paid': 'Amount paid',
+      'receipt.photo': 'Receipt photo (optional)',
+      'receipt.photoAlt': 'Receipt photo',
+      'receipt.hint': 'Differences beyond the tolerance are flagged in the history and can be exported from Stats. Clear the amount and save to remove it',
+      'receipt.skip': 'Skip',
+      'receipt.invalid': 'Please enter a valid amount',
+      'receipt.saved': 'Recorded {paid} paid, matches the calculated cost',
+      'receipt.savedOvercharged': 'Recorded {paid} paid, {amount} more than calculated',
+      'receipt.savedUndercharged': 'Recorded {paid} paid, {amount} less than calculated',
+      'receipt.cleared': 'Amount paid removed',
+      'receipt.saveFailed': 'Could not save the amount paid',
+      'receipt.add': 'Add paid',
+      'receipt.edit': 'Edit paid',
+      'receipt.match': 'Paid {paid}',
+      'receipt.overcharged': 'Paid {paid}, {amount} over',
+      'receipt.undercharged': 'Paid {paid}, {amount} under',
+      'receipt.report': 'Charge check',
+      'receipt.tolerance': 'Tolerance',
+      'receipt.reportEmpty': 'No amounts paid recorded yet. Add one when stopping the timer or with "Add paid" in the history',
+      'receipt.groupSummary': { one: 'Checked {checked}, 1 difference, {amount} overpaid in total', other: 'Checked {checked}, {count} differences, {amount} overpaid in total' },
+      'receipt.item': '{time}: calculated {cost}, paid {paid}',
+      'receipt.viewPhoto': 'Receipt',
+      'receipt.export': 'Export differences (CSV)',
+      'receipt.exported': { one: 'Exported 1 record with a difference', other: 'Exported {count} records with differences' },
+      'receipt.noDiscrepancy': 'No differences beyond the tolerance',
+      'receipt.status.overcharged': 'Overcharged',
+      'receipt.status.undercharged': 'Undercharged',
+      
+      // 停车场
+      'lot.section': 'Parking lot details (optional)',
+      'lot.sectionHint': 'With a location saved, starting a timer nearby suggests this rule and history is grouped by lot',
+      'lot.address': 'Address',
+      'lot.addressPlaceholder': 'e.g. 88 Main St, level B2',
+      'lot.location': 'Location',
+      'lot.useHere': 'Use current location',
+      'lot.clearLocation': 'Clear',
+      'lot.noLocation': 'No location set',
+      'lot.radius': 'Radius (m)',
+      'lot.hours': 'Opening hours',
+      'lot.hoursPlaceholder': 'e.g. 07:00-23:00, blank for 24h',
+      'lot.notes': 'Notes',
+      'lot.notesPlaceholder': 'e.g. entrance on the east side, 2.1 m height limit',
+      'lot.error.hours': 'Opening hours "{hours}" should look like HH:MM-HH:MM',
+      'lot.autoApply': 'Automatically use the rule of a nearby lot when starting',
+      'lot.suggestion': 'You are near "{name}" (about {distance} m). Use its pricing rule?',
+      'lot.closedNow': 'Currently closed ({hours})',
+      'lot.use': 'Use',
+      'lot.ignore': 'Ignore',
+      'lot.autoApplied': 'Near "{name}", its pricing rule is now in use',
+      'lot.hoursLabel': 'Open {hours}',
+      'lot.editing': 'Editing "{name}". Tap "Save changes" when done',
+      'lot.update': 'Save changes',
+      'lot.updated': 'Preset updated',
+      'lot.editHint': 'Tap a rule to edit it, or the bin to delete it',
+      'lot.all': 'All lots',
+      'lot.none': 'No lot',
+      'lot.filterTitle': 'Filter by lot',
+      'lot.byLot': 'By parking lot',
+      
+      // 停车限制
+      'limit.title': 'Parking limits',
+      'limit.maxStayLabel': 'Maximum stay (minutes)',
+      'limit.maxStayPlaceholder': 'No limit',
+      'limit.windows': 'No-parking windows',
+      'limit.addWindow': 'Add window',
+      'limit.hint': 'Street parking often has a maximum stay and no-parking windows (rush hour, weekly street cleaning). You are reminded before a limit using the reminder stages and the timer card shows a warning. Select no days for every day',
+      'limit.maxStayInvalid': 'Invalid maximum stay',
+      'limit.windowTimeInvalid': 'No-parking window {index} has an invalid time',
+      'limit.windowCount': { one: '{count} no-parking window', other: '{count} no-parking windows' },
+      'limit.day.0': 'Sun',
+      'limit.day.1': 'Mon',
+      'limit.day.2': 'Tue',
+      'limit.day.3': 'Wed',
+      'limit.day.4': 'Thu',
+      'limit.day.5': 'Fri',
+      'limit.day.6': 'Sat',
+      'limit.everyDay': 'Every day',
+      'limit.window': '{days} {from}-{to}',
+      'limit.maxStay': 'Maximum stay {duration}',
+      'limit.restricted': 'No parking: {window}',
+      'limit.short.maxStay': 'max {duration}',
+      'limit.short.restricted': 'no parking {windows}',
+      'limit.warn.startedIn': 'You parked during a no-parking window ({window}) and may be fined. Move the car soon',
+      'limit.warn.current': 'No-parking window ({window}) has started. Move the car soon',
+      'limit.warn.next': 'No parking from {time} ({window}). Move the car before then',
+      'limit.warn.maxStay': 'Maximum stay {duration}. Move the car before {time}',
+      'limit.warn.maxStayExceeded': 'Maximum stay of {duration} exceeded. Move the car soon',
+      
+      // 日历导出
+      'calendar.priceSummary': '{name}: parking fee rises to {cost}',
+      'calendar.maxStaySummary': '{name}: {duration} maximum stay reached',
+      'calendar.restrictionSummary': '{name}: no parking ({window}) starts',
+      'calendar.cancelledSummary': 'Cancelled - {name}',
+      'calendar.rule': 'Rule: {rule}',
+      'calendar.spot': 'Spot: {note}',
+      'calendar.export': 'Add to calendar',
+      'calendar.update': 'Update calendar',
+      'calendar.remove': 'Remove from calendar',
+      'calendar.exportTitle': 'Download an .ics file so the system calendar alerts you, even where notifications are unreliable',
+      'calendar.exported': { one: 'Exported {count} calendar event. Open the file with your calendar app to add it', other: 'Exported {count} calendar events. Open the file with your calendar app to add them' },
+      'calendar.cancelExported': { one: '. A second file cancels 1 reminder that is no longer needed; open it with your calendar app too', other: '. A second file cancels {count} reminders that are no longer needed; open it with your calendar app too' },
+      'calendar.outdated': 'The rule or times changed. Update the reminders in your calendar',
+      'calendar.removeHint': 'The timer is paused or stopped. Reminders in your calendar are not deleted automatically',
+      'calendar.removed': 'Open the file with your calendar app to delete the reminders added earlier',
+      'calendar.notRunning': 'Start the timer before adding reminders to the calendar',
+      'calendar.empty': 'Nothing to remind you of in the next 24 hours',
+      
+      // 分享
+      'share.open': 'Share',
+      'share.title': 'Share this parking session',
+      'share.linkLabel': 'Share link',
+      'share.hint': 'Whoever opens the link or scans the code gets the same start time, pricing rule and duration on their own device, with timing and reminders computed locally and no server involved. Later changes are not synced; share again after changing anything.',
+      'share.copy': 'Copy link',
+      'share.copied': 'Link copied',
+      'share.copyFailed': 'Could not copy automatically. Copy the selected link manually',
+      'share.system': 'Other apps',
+      'share.shareTitle': 'Parking timer for {name}',
+      'share.notStarted': '{name} has no start time yet, so there is nothing to share',
+      'share.qrFailed': 'The link is too long for a QR code. Copy the link instead',
+      'share.banner': 'This is a shared parking timer and is view-only',
+      'share.adopt': 'Take over',
+      'share.adoptTitle': 'After taking over you can pause, stop and edit it like your own vehicle',
+      'share.adopted': 'You took over {name} and can now pause, stop and edit it',
+      'share.remove': 'Remove',
+      'share.removed': 'Removed the shared timer {name}',
+      'share.readOnly': 'Shared parking timers are view-only. Take over to make changes',
+      'share.tabTitle': 'Shared parking timer (view-only)',
+      'share.imported': 'Opened the shared parking timer: {name}',
+      'share.updated': 'Updated {name} from the shared link',
+      'share.alreadyAdopted': 'This share was already taken over as {name} and is no longer updated from links',
+      'share.openFailed': 'Could not open the shared link: {message}',
+      'share.error.format': 'the link is invalid or incomplete',
+      'share.error.newerVersion': 'the link was created by a newer version of the app. Update the app and open it again',
+      'share.error.field': 'the field {field} in the link is invalid',
+      'share.error.rule': 'the pricing rule in the link is invalid ({message})',
+      
+      // 停车优惠
+      'discount.none': 'No discounts',
+      'discount.edit': 'Discounts',
+      'discount.title': 'Parking discounts',
+      'discount.spendLabel': 'Amount spent at the merchant',
+      'discount.spendPlaceholder': 'Used for "spend at least…" offers',
+      'discount.spendInvalid': 'The amount spent must be a number of at least 0',
+      'discount.spendSummary': 'spent {amount}',
+      'discount.list': 'Discounts',
+      'discount.add': 'Add discount',
+      'discount.hint': 'For example 2 hours free with a purchase of 200, 10% off for members or 5 off with a receipt. Conditions are optional and no weekday means every day; several discounts apply in the order free time, percentage, amount, cap. The timer, reminders and history all use the cost after discounts',
+      'discount.typeLabel': 'Discount type',
+      'discount.valueLabel': 'Minutes, percent or amount',
+      'discount.type.free-time': 'Free time (minutes)',
+      'discount.type.percent': 'Percentage off (%)',
+      'discount.type.amount': 'Amount off',
+      'discount.type.cap': 'Capped total',
+      'discount.labelPlaceholder': 'Label (optional), e.g. "Mall member"',
+      'discount.minSpendPlaceholder': 'Min. spend (optional)',
+      'discount.minMinutesPlaceholder': 'Min. minutes (optional)',
+      'discount.typeInvalid': 'Unsupported discount type',
+      'discount.valueInvalid.free-time': 'Free time must be a number of minutes greater than 0',
+      'discount.valueInvalid.percent': 'The percentage must be between 0 and 100',
+      'discount.valueInvalid.amount': 'The amount off must be greater than 0',
+      'discount.valueInvalid.cap': 'The capped total must be greater than 0',
+      'discount.conditionInvalid': 'Invalid conditions: the spend cannot be negative and the duration must be whole minutes',
+      'discount.rowInvalid': 'Discount {index}: {message}',
+      'discount.saved': 'Discounts saved; cost and reminders now use the discounted price',
+      'discount.breakdown': 'Full price {gross}, discount {discount}',
+      'discount.describe.freeTime': '{duration} free',
+      'discount.describe.percent': '{percent}% off',
+      'discount.describe.amount': '{amount} off',
+      'discount.describe.cap': 'pay at most {amount}',
+      'discount.describe.minSpend': 'spend {amount}',
+      'discount.describe.minMinutes': 'after {duration}',
+      'discount.describe.withConditions': '{discount} ({conditions})'
+    }
+  };
+  
+  let locale = DEFAULT_LOCALE;
+  let currency = DEFAULT_CURRENCY;
+  const formatters = new Map(); // 按语言、币种和选项缓存的 Intl 格式化对象
+  
+  // 在支持的语言中找出与 languages(如 navigator.languages)最接近的一个：先比较完整代码，再比较语言部分
+  function resolveLocale(languages) {
+    const candidates = (Array.isArray(languages) ? languages : [languages]).filter(Boolean);
+    for (const candidate of candidates) {
+      const exact = Object.keys(LOCALES).find(code => code.toLowerCase() === String(candidate).toLowerCase());
+      if (exact) return exact;
+      const language = String(candidate).split('-')[0].toLowerCase();
+      const partial = Object.keys(LOCALES).find(code => code.split('-')[0].toLowerCase() === language);
+      if (partial) return partial;
+    }
+    return DEFAULT_LOCALE;
+  }
+  
+  function setLocale(value) {
+    locale = resolveLocale(value);
+    formatters.clear();
+    return locale;
+  }
+  
+  function getLocale() {
+    return locale;
+  }
+  
+  function setCurrency(code) {
+    currency = CURRENCIES.includes(code) ? code : DEFAULT_CURRENCY;
+    formatters.clear();
+    return currency;
+  }
+  
+  function getCurrency() {
+    return currency;
+  }
+  
+  // 取得当前语言的文字，缺少时使用默认语言，都没有时返回 key
+  function t(key, params = {}) {
+    let message = MESSAGES[locale][key];
+    if (message === undefined) message = MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+    
+    if (typeof message === 'object') {
+      const category = getFormatter('plural', {}, () => new Intl.PluralRules(locale)).select(params.count);
+      message = message[category] !== undefined ? message[category] : message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+  }
+  
+  function getFormatter(type, options, create) {
+    const key = `${type}|${JSON.stringify(options)}`;
+    if (!formatters.has(key)) {
+      formatters.set(key, create());
+    }
+    return formatters.get(key);
+  }
+  
+  // 按当前语言和币种显示金额；compact 为 true 时整数金额不显示小数
+  function formatMoney(amount, options = {}) {
+    const numberOptions = { style: 'currency', currency: currency };
+    if (options.compact) numberOptions.minimumFractionDigits = 0;
+    if (options.maximumFractionDigits !== undefined) {
+      numberOptions.minimumFractionDigits = 0;
+      numberOptions.maximumFractionDigits = options.maximumFractionDigits;
+    }
+    return getFormatter('money', numberOptions, () => new Intl.NumberFormat(locale, numberOptions)).format(amount);
+  }
+  
+  // 当前币种的符号，如 ¥、HK$、€
+  function getCurrencySymbol(code = currency) {
+    const parts = new Intl.NumberFormat(locale, { style: 'currency', currency: code }).formatToParts(0);
+    const symbol = parts.find(part => part.type === 'currency');
+    return symbol ? symbol.value : code;
+  }
+  
+  // 币种名称，浏览器不支持 Intl.DisplayNames 时为币种代码
+  function getCurrencyName(code) {
+    if (typeof Intl.DisplayNames !== 'function') return code;
+    return new Intl.DisplayNames([locale], { type: 'currency' }).of(code);
+  }
+  
+  function formatDateTime(date) {
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' };
+    return getFormatter('dateTime', options, () => new Intl.DateTimeFormat(locale, options)).format(date);
+  }
+  
+  function formatDate(date) {
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit' };
+    return getFormatter('date', options, () => new Intl.DateTimeFormat(locale, options)).format(date);
+  }
+  
+  function formatTime(date) {
+    const options = { hour: '2-digit', minute: '2-digit' };
+    return getFormatter('time', options, () => new Intl.DateTimeFormat(locale, options)).format(date);
+  }
+  
+  // 月份的简称，如"10月"、"Oct"
+  function formatMonth(date) {
+    const options = { month: 'short' };
+    return getFormatter('month', options, () => new Intl.DateTimeFormat(locale, options)).format(date);
+  }
+  
+  const ParkingI18n = {
+    DEFAULT_LOCALE: DEFAULT_LOCALE,
+    DEFAULT_CURRENCY: DEFAULT_CURRENCY,
+    LOCALES: LOCALES,
+    CURRENCIES: CURRENCIES,
+    MESSAGES: MESSAGES,
+    resolveLocale: resolveLocale,
+    setLocale: setLocale,
+    getLocale: getLocale,
+    setCurrency: setCurrency,
+    getCurrency: getCurrency,
+    t: t,
+    formatMoney: formatMoney,
+    getCurrencySymbol: getCurrencySymbol,
+    getCurrencyName: getCurrencyName,
+    formatDateTime: formatDateTime,
+    formatDate: formatDate,
+    formatTime: formatTime,
+    formatMonth: formatMonth
+  };
+  
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParkingI18n;
+  } else {
+    global.ParkingI18n = ParkingI18n;
+  }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,108 @@
+// 由 tools/build-precache.js 生成，不要手动修改。修改应用文件后运行 node tools/build-precache.js
+self.PRECACHE_MANIFEST = {
+  "version": "d9f35c667d3d",
+  "release": "2026.10.19",
+  "assets": [
+    {
+      "url": "/index.html",
+      "revision": "2662a20a9f8a"
+    },
+    {
+      "url": "/offline.html",
+      "revision": "144c0cefb1fc"
+    },
+    {
+      "url": "/i18n.js",
+      "revision": "78e0749865af"
+    },
+    {
+      "url": "/core.js",
+      "revision": "25683b665a9b"
+    },
+    {
+      "url": "/sync.js",
+      "revision": "42e56d5df821"
+    },
+    {
+      "url": "/qr.js",
+      "revision": "9235ea57bbec"
+    },
+    {
+      "url": "/manifest.json",
+      "revision": "0da0792efcfe"
+    },
+    {
+      "url": "/manifest.en.json",
+      "revision": "e4b9921bca16"
+    },
+    {
+      "url": "/vendor/tailwind.css",
+      "revision": "1c2d895ecb36"
+    },
+    {
+      "url": "/vendor/font-awesome-4.7.0/css/font-awesome.min.css",
+      "revision": "799aeb25cc03"
+    },
+    {
+      "url": "/vendor/font-awesome-4.7.0/fonts/fontawesome-webfont.woff2",
+      "revision": "2adefcbc041e"
+    },
+    {
+      "url": "/vendor/font-awesome-4.7.0/fonts/fontawesome-webfont.woff",
+      "revision": "ba0c59deb545"
+    },
+    {
+      "url": "/icons/apple-touch-icon.png",
+      "revision": "f24df3026494"
+    },
+    {
+      "url": "/icons/badge-96.png",
+      "revision": "b859c6695bfd"
+    },
+    {
+      "url": "/icons/favicon-32.png",
+      "revision": "31a0cb71c2d7"
+    },
+    {
+      "url": "/icons/icon-192.png",
+      "revision": "ae66acca5b4c"
+    },
+    {
+      "url": "/icons/icon-512.png",
+      "revision": "876a1b91ffdd"
+    },
+    {
+      "url": "/icons/icon-96.png",
+      "revision": "d03d33fc28fa"
+    },
+    {
+      "url": "/icons/icon-maskable-512.png",
+      "revision": "d10d3862da23"
+    },
+    {
+      "url": "/icons/icon.svg",
+      "revision": "46b09c29098e"
+    }
+  ],
+  "releases": [
+    {
+      "release": "2026.10.19",
+      "notes": {
+        "zh-CN": [
+          "完全离线可用：首次打开后样式、图标和所有页面文件都保存在本机，没有网络也能正常打开",
+          "新版本会显示更新说明，正在停车时不会切换版本，结束停车后再更新",
+          "常驻通知和应用角标显示已停时长、当前费用和距离下一次涨价的时间",
+          "停车优惠：支持免停车时长、折扣、减免和封顶，提醒按优惠后的实付计算",
+          "分享停车：通过链接或二维码把计时分享给家人"
+        ],
+        "en": [
+          "Works fully offline: after the first visit, styles, icons and every app file are stored on this device",
+          "New versions show what changed and never switch while you are parked; update after you stop",
+          "An ongoing notification and app badge show time parked, current cost and time until the next price rise",
+          "Parking discounts: free time, percentage off, amount off and capped totals, with reminders based on the discounted price",
+          "Share a parking timer with family through a link or QR code"
+        ]
+      }
+    }
+  ]
+};
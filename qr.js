@@ -0,0 +1,454 @@
+// 二维码生成 - 不联网，在本地把文字编码成二维码(用于分享会话链接)
+// 浏览器中为 self.ParkingQR，Node中用 require('./qr.js') 引入。
+// 只实现分享链接用到的部分：字节模式、M 级纠错，自动选择最小版本和掩码。
+// encode(text) 返回 { version, size, modules }，modules[y][x] 为 true 表示深色模块；toSvg(qr) 生成 SVG 文字。
+(function(global) {
+  // M 级纠错：每块纠错码字数和块数，按版本(1-40)索引
+  const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+  const ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+  // M 级在格式信息中的编码
+  const ECC_FORMAT_BITS = 0;
+  const MIN_VERSION = 1;
+  const MAX_VERSION = 40;
+  
+  // ===== 容量 =====
+  // 除功能图形外可放数据的模块数
+  function getRawModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const alignCount = Math.floor(version / 7) + 2;
+      result -= (25 * alignCount - 10) * alignCount - 55;
+      if (version >= 7) {
+        result -= 36;
+      }
+    }
+    return result;
+  }
+  
+  // 可放数据的码字数(不含纠错码)
+  function getDataCodewords(version) {
+    return Math.floor(getRawModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+  }
+  
+  // 字节模式下数据所需的位数
+  function getDataBits(byteCount, version) {
+    const countBits = version <= 9 ? 8 : 16;
+    return 4 + countBits + byteCount * 8;
+  }
+  
+  // 文字转 UTF-8 字节
+  function toUtf8Bytes(text) {
+    const bytes = [];
+    for (const char of String(text)) {
+      const code = char.codePointAt(0);
+      if (code < 0x80) {
+        bytes.push(code);
+      } else if (code < 0x800) {
+        bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+      } else if (code < 0x10000) {
+        bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+      } else {
+        bytes.push(0xF0 | (code >> 18), 0x80 | ((code >> 12) & 0x3F), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+      }
+    }
+    return bytes;
+  }
+  
+  // ===== 纠错码 =====
+  // GF(256) 乘法，本原多项式 0x11D
+  function multiply(x, y) {
+    let result = 0;
+    for (let i = 7; i >= 0; i--) {
+      result = (result << 1) ^ ((result >>> 7) * 0x11D);
+      result ^= ((y >>> i) & 1) * x;
+    }
+    return result;
+  }
+  
+  // 指定次数的 Reed-Solomon 生成多项式(最高次项系数省略)
+  function getGenerator(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = multiply(result[j], root);
+        if (j + 1 < degree) {
+          result[j] ^= result[j + 1];
+        }
+      }
+      root = multiply(root, 0x02);
+    }
+    return result;
+  }
+  
+  function getRemainder(data, generator) {
+    const result = new Array(generator.length).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      generator.forEach((coefficient, i) => {
+        result[i] ^= multiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+  
+  // 分块、加纠错码后交错排列
+  function addErrorCorrection(data, version) {
+    const blockCount = ERROR_CORRECTION_BLOCKS[version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getRawModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const generator = getGenerator(eccLength);
+    
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blockCount; i++) {
+      const dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+      const blockData = data.slice(offset, offset + dataLength);
+      offset += dataLength;
+      const ecc = getRemainder(blockData, generator);
+      // 短块补一个占位，交错时跳过
+      if (i < shortBlockCount) {
+        blockData.push(null);
+      }
+      blocks.push(blockData.concat(ecc));
+    }
+    
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach(block => {
+        if (block[i] !== null) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+  
+  // ===== 数据编码 =====
+  function encodeData(bytes, version) {
+    const bits = [];
+    function appendBits(value, length) {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+      }
+    }
+    
+    appendBits(0x4, 4);
+    appendBits(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => appendBits(byte, 8));
+    
+    const capacityBits = getDataCodewords(version) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+      appendBits(pad, 8);
+    }
+    
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    return codewords;
+  }
+  
+  // ===== 绘制 =====
+  // 校正图形的中心坐标
+  function getAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = version * 4 + 10; result.length < count; position -= step) {
+      result.splice(1, 0, position);
+    }
+    return result;
+  }
+  
+  // BCH 编码：data 后面接上对生成多项式取余的校验位
+  function getBchCode(data, generator, generatorBits) {
+    let remainder = data;
+    for (let i = 0; i < generatorBits - 1; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> (generatorBits - 2)) * generator);
+    }
+    return (data << (generatorBits - 1)) | remainder;
+  }
+  
+  function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = [];
+    const isFunction = [];
+    for (let y = 0; y < size; y++) {
+      modules.push(new Array(size).fill(false));
+      isFunction.push(new Array(size).fill(false));
+    }
+    
+    function setFunction(x, y, dark) {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    }
+    
+    // 定时图形
+    for (let i = 0; i < size; i++) {
+      setFunction(6, i, i % 2 === 0);
+      setFunction(i, 6, i % 2 === 0);
+    }
+    
+    // 三个定位图形(含分隔符)
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([centerX, centerY]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = centerX + dx;
+          const y = centerY + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+    
+    // 校正图形，跳过与定位图形重叠的三个角
+    const positions = getAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((centerX, i) => {
+      positions.forEach((centerY, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            setFunction(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+    
+    // 版本信息(版本 7 及以上)
+    if (version >= 7) {
+      const bits = getBchCode(version, 0x1F25, 13);
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        setFunction(a, b, dark);
+        setFunction(b, a, dark);
+      }
+    }
+    
+    return { size: size, modules: modules, isFunction: isFunction };
+  }
+  
+  // 格式信息，同时占住格式区域和固定的深色模块
+  function drawFormatBits(matrix, mask) {
+    const { size, modules, isFunction } = matrix;
+    const bits = getBchCode((ECC_FORMAT_BITS << 3) | mask, 0x537, 11) ^ 0x5412;
+    
+    function set(x, y, i) {
+      modules[y][x] = ((bits >>> i) & 1) === 1;
+      isFunction[y][x] = true;
+    }
+    
+    for (let i = 0; i <= 5; i++) set(8, i, i);
+    set(8, 7, 6);
+    set(8, 8, 7);
+    set(7, 8, 8);
+    for (let i = 9; i < 15; i++) set(14 - i, 8, i);
+    
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, i);
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, i);
+    modules[size - 8][8] = true;
+    isFunction[size - 8][8] = true;
+  }
+  
+  // 按之字形顺序把码字填入非功能模块
+  function drawCodewords(matrix, codewords) {
+    const { size, modules, isFunction } = matrix;
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+            modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+            bitIndex++;
+          }
+        }
+      }
+    }
+  }
+  
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+  ];
+  
+  // 掩码作用两次即还原
+  function applyMask(matrix, mask) {
+    const { size, modules, isFunction } = matrix;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && MASKS[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  }
+  
+  // ===== 掩码评分 =====
+  // 按标准的四条规则计算罚分，选罚分最低的掩码
+  function getPenalty(matrix) {
+    const { size, modules } = matrix;
+    let result = 0;
+    
+    // 规则1：同色连续 5 个及以上；规则3：类似定位图形的 1:1:3:1:1 图样
+    function scanLine(getModule) {
+      let penalty = 0;
+      let runColor = false;
+      let runLength = 0;
+      const history = [0, 0, 0, 0, 0, 0, 0];
+      
+      function pushRun(length) {
+        // 行首按浅色边框计算
+        if (history[0] === 0) length += size;
+        history.pop();
+        history.unshift(length);
+      }
+      
+      function countFinderLikes() {
+        const n = history[1];
+        const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+        return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0) + (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+      }
+      
+      for (let i = 0; i < size; i++) {
+        const dark = getModule(i);
+        if (dark === runColor) {
+          runLength++;
+          if (runLength === 5) {
+            penalty += 3;
+          } else if (runLength > 5) {
+            penalty++;
+          }
+        } else {
+          pushRun(runLength);
+          if (!runColor) {
+            penalty += countFinderLikes() * 40;
+          }
+          runColor = dark;
+          runLength = 1;
+        }
+      }
+      
+      // 行尾同样按浅色边框结束
+      if (runColor) {
+        pushRun(runLength);
+        runLength = 0;
+      }
+      runLength += size;
+      pushRun(runLength);
+      penalty += countFinderLikes() * 40;
+      return penalty;
+    }
+    
+    for (let i = 0; i < size; i++) {
+      result += scanLine(x => modules[i][x]);
+      result += scanLine(y => modules[y][i]);
+    }
+    
+    // 规则2：2x2 同色块
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          result += 3;
+        }
+      }
+    }
+    
+    // 规则4：深色比例偏离 50%
+    let dark = 0;
+    modules.forEach(row => row.forEach(module => {
+      if (module) dark++;
+    }));
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    result += k * 10;
+    
+    return result;
+  }
+  
+  // ===== 对外接口 =====
+  // 文字编码成二维码；超出容量时抛出错误
+  function encode(text) {
+    const bytes = toUtf8Bytes(text);
+    let version = MIN_VERSION;
+    while (getDataBits(bytes.length, version) > getDataCodewords(version) * 8) {
+      version++;
+      if (version > MAX_VERSION) {
+        throw new Error('QR data too long');
+      }
+    }
+    
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+    const matrix = createMatrix(version);
+    drawFormatBits(matrix, 0);
+    drawCodewords(matrix, codewords);
+    
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      applyMask(matrix, mask);
+      drawFormatBits(matrix, mask);
+      const penalty = getPenalty(matrix);
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      applyMask(matrix, mask);
+    }
+    
+    applyMask(matrix, bestMask);
+    drawFormatBits(matrix, bestMask);
+    
+    return { version: version, size: matrix.size, modules: matrix.modules };
+  }
+  
+  // 生成 SVG，深色模块合并为一条路径；border 为四周空白的模块数
+  function toSvg(qr, options = {}) {
+    const border = options.border === undefined ? 4 : options.border;
+    const total = qr.size + border * 2;
+    const parts = [];
+    qr.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) {
+          parts.push(`M${x + border},${y + border}h1v1h-1z`);
+        }
+      });
+    });
+    
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#ffffff"/>` +
+      `<path d="${parts.join('')}" fill="#000000"/></svg>`;
+  }
+  
+  const ParkingQR = {
+    encode: encode,
+    toSvg: toSvg
+  };
+  
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParkingQR;
+  } else {
+    global.ParkingQR = ParkingQR;
+  }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+// 同步服务器参考实现，只使用Node内置模块，可以自建或用于本地测试
+// 用法：node server/sync-server.js [--port 8787] [--data ./sync-data.json]
+//   设置环境变量 SYNC_TOKEN 后，请求需要带 Authorization: Bearer <SYNC_TOKEN>
+// 协议说明见 README 的"数据同步"一节。所有数据保存在一个JSON文件中，一个实例对应一个用户的数据。
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PROTOCOL = 1;
+const COLLECTIONS = ['sessions', 'history', 'presets']; // 与 sync.js 相同，本机设置不同步
+const MAX_PULL_LIMIT = 500;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// 空的数据：rev 为最新的版本号，records 以 "collection:id" 为键
+function createState() {
+  return { rev: 0, records: {} };
+}
+
+function loadState(file) {
+  if (!file || !fs.existsSync(file)) return createState();
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// 先写临时文件再改名，避免写到一半时中断损坏数据
+function saveState(file, state) {
+  if (!file) return;
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(state));
+  fs.renameSync(tempFile, file);
+}
+
+// 冲突时的胜出规则：修改时间较晚的胜出，相同时按设备ID比较，保证各设备得到相同的结果
+function incomingWins(change, current) {
+  if (change.updatedAt !== current.updatedAt) return change.updatedAt > current.updatedAt;
+  return change.deviceId > current.deviceId;
+}
+
+function validateChange(change) {
+  if (!change || !COLLECTIONS.includes(change.collection)) return '未知的数据类型';
+  if (typeof change.id !== 'string' || change.id === '') return '缺少记录ID';
+  if (typeof change.updatedAt !== 'number' || !isFinite(change.updatedAt)) return '缺少修改时间';
+  if (typeof change.baseRev !== 'number') return '缺少 baseRev';
+  if (!change.deleted && (!change.data || typeof change.data !== 'object')) return '缺少记录内容';
+  return null;
+}
+
+// 处理上传的修改，返回每条修改的结果 { collection, id, status, record }
+//   applied：已保存；conflict：服务器上有更新的版本，record 为服务器上的版本
+function applyPush(state, deviceId, changes) {
+  return changes.map(input => {
+    const change = { ...input, deviceId: deviceId };
+    const key = `${change.collection}:${change.id}`;
+    const current = state.records[key];
+    
+    // 重复上传同一次修改(例如页面和服务工作者同时同步)
+    if (current && current.deviceId === deviceId && current.updatedAt === change.updatedAt) {
+      return { collection: change.collection, id: change.id, status: 'applied', record: current };
+    }
+    
+    // 基于旧版本的修改：按修改时间决定哪个版本保留
+    if (current && current.rev !== change.baseRev && !incomingWins(change, current)) {
+      return { collection: change.collection, id: change.id, status: 'conflict', record: current };
+    }
+    
+    state.rev++;
+    const record = {
+      collection: change.collection,
+      id: change.id,
+      rev: state.rev,
+      deleted: !!change.deleted,
+      data: change.deleted ? null : change.data,
+      updatedAt: change.updatedAt,
+      deviceId: deviceId
+    };
+    state.records[key] = record;
+    return { collection: change.collection, id: change.id, status: 'applied', record: record };
+  });
+}
+
+// 版本号大于 since 的修改(包括删除)，按版本号排序，超过 limit 条时分页
+function pullChanges(state, since, limit) {
+  const changes = Object.values(state.records)
+    .filter(record => record.rev > since)
+    .sort((a, b) => a.rev - b.rev);
+  const page = changes.slice(0, limit);
+  const more = changes.length > limit;
+  
+  return {
+    rev: more ? page[page.length - 1].rev : Math.max(since, state.rev),
+    changes: page,
+    more: more
+  };
+}
+
+// 应用和同步服务器通常不在同一个域名下
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...CORS_HEADERS });
+  response.end(JSON.stringify({ protocol: PROTOCOL, ...body }));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('请求内容过大'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+// 创建同步服务器。options: { dataFile, token }，dataFile 为空时只保存在内存中
+function createSyncServer(options = {}) {
+  const state = loadState(options.dataFile);
+  
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, CORS_HEADERS);
+      response.end();
+      return;
+    }
+    if (options.token && request.headers.authorization !== `Bearer ${options.token}`) {
+      sendJson(response, 401, { error: '令牌无效' });
+      return;
+    }
+    
+    try {
+      if (request.method === 'GET' && url.pathname === '/sync/pull') {
+        const since = Math.max(0, parseInt(url.searchParams.get('since')) || 0);
+        const limit = Math.min(MAX_PULL_LIMIT, Math.max(1, parseInt(url.searchParams.get('limit')) || MAX_PULL_LIMIT));
+        sendJson(response, 200, pullChanges(state, since, limit));
+        return;
+      }
+      
+      if (request.method === 'POST' && url.pathname === '/sync/push') {
+        const body = JSON.parse(await readBody(request));
+        if (body.protocol !== PROTOCOL) {
+          sendJson(response, 400, { error: `不支持的协议版本 ${body.protocol}` });
+          return;
+        }
+        if (typeof body.deviceId !== 'string' || body.deviceId === '' || !Array.isArray(body.changes)) {
+          sendJson(response, 400, { error: '缺少 deviceId 或 changes' });
+          return;
+        }
+        
+        const invalid = body.changes.map(validateChange).find(error => error !== null);
+        if (invalid) {
+          sendJson(response, 400, { error: invalid });
+          return;
+        }
+        
+        const results = applyPush(state, body.deviceId, body.changes);
+        saveState(options.dataFile, state);
+        sendJson(response, 200, { rev: state.rev, results: results });
+        return;
+      }
+      
+      sendJson(response, 404, { error: '未知的接口' });
+    } catch (error) {
+      sendJson(response, 400, { error: error.message });
+    }
+  });
+}
+
+module.exports = { PROTOCOL, createState, applyPush, pullChanges, createSyncServer };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : args[index + 1];
+  };
+  
+  const port = parseInt(option('--port', process.env.PORT || 8787));
+  const dataFile = path.resolve(option('--data', 'sync-data.json'));
+  createSyncServer({ dataFile: dataFile, token: process.env.SYNC_TOKEN || '' }).listen(port, () => {
+    console.log(`同步服务器已启动：http://localhost:${port}，数据文件 ${dataFile}`);
+  });
+}
@@ -1,12 +1,21 @@
 // 服务工作者 - 用于处理后台通知和离线功能
-const CACHE_NAME = 'parking-reminder-cache-v1';
+importScripts('/i18n.js', '/sync.js', '/core.js', '/precache-manifest.js');
+
+// ===== 预缓存 =====
+// 应用需要的全部资源(页面、脚本、图标和 vendor/ 中的样式、字体)列在 precache-manifest.js 中，
+// 由 tools/build-precache.js 按文件内容生成。任何文件变化都会改变清单的 version，浏览器据此安装新版本的服务工作者，
+// 新版本把资源缓存到自己的缓存中后进入等待，由页面在没有车辆停车时确认接管(见页面的"版本更新")，
+// 因此页面和它的脚本始终来自同一个版本，离线冷启动也能完整显示。
+// 停车期间服务工作者自己也不切换版本：页面在 LIVE_STATUS 中告知是否有车辆在停车(parked，保存在IndexedDB中，
+// 新版本也能读到)，停车期间新版本安装失败，停车全部结束后页面再检查更新；停车前已经在等待的新版本在页面全部关闭后
+// 仍会接管，这时继续提供接管前的版本的缓存(heldCache)，停车全部结束后再换成自己的缓存。
+const PRECACHE = self.PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'parking-reminder-precache-';
+const CACHE_NAME = CACHE_PREFIX + PRECACHE.version;
 const RUNTIME_CACHE_NAME = 'parking-reminder-runtime-v1';
-const CACHE_ASSETS = [
-  '/',
-  '/index.html',
-  '/manifest.json',
-  '/service-worker.js'
-];
+const APP_SHELL_URL = '/index.html';
+const OFFLINE_URL = '/offline.html';
+const PRECACHE_URLS = new Set(PRECACHE.assets.map(asset => asset.url));
 
 // 配置参数 - 提高缓存和网络请求的稳定性
 const CACHE_CONFIG = {
@@ -15,6 +24,26 @@ const CACHE_CONFIG = {
   NETWORK_TIMEOUT: 3000 // 网络请求超时时间（毫秒）
 };
 
+// 通知使用的图标，badge 为安卓状态栏中显示的单色图标
+const REMINDER_ICON = '/icons/icon-192.png';
+const REMINDER_BADGE = '/icons/badge-96.png';
+
+// 提醒调度配置
+const REMINDER_CONFIG = {
+  DB_NAME: 'parking-reminder-sw', // 服务工作者没有localStorage，提醒计划保存在IndexedDB
+  STORE_NAME: 'state',
+  TAG_PREFIX: 'parking-reminder-',
+  KEEP_ALIVE_MS: 4 * 60 * 1000, // 即将到期的提醒在此时间内保持服务工作者运行
+  MISSED_AFTER_MS: 5 * 60 * 1000, // 到期超过该时间才检查到的提醒视为错过，与 core.js 的 MISSED_REMINDER_MS 相同
+  PERIODIC_SYNC_TAG: 'check-reminders'
+};
+
+// 常驻通知配置
+const LIVE_CONFIG = {
+  TAG: 'parking-live', // 常驻通知固定使用同一个 tag，更新时替换而不是新增
+  UPDATE_MS: 60 * 1000
+};
+
 // 优化的错误记录，避免过多日志
 function logError(message, error) {
   // 可以实现更复杂的日志逻辑，如错误聚合、采样等
@@ -25,57 +54,65 @@ function logError(message, error) {
 function isSensitiveRequest(request) {
   const url = new URL(request.url);
   // 检查URL是否包含敏感路径或参数
-  const sensitivePaths = ['/api/login', '/api/auth', '/api/payment'];
+  // 同步接口的响应不能缓存，否则离线时会拉取到旧的修改
+  const sensitivePaths = ['/api/login', '/api/auth', '/api/payment', '/sync/pull', '/sync/push'];
   const sensitiveParams = ['token', 'password', 'creditcard'];
   
   return sensitivePaths.some(path => url.pathname.includes(path)) ||
          sensitiveParams.some(param => url.searchParams.has(param));
 }
 
-// 安装事件 - 预缓存关键资源（增强错误处理）
+// 安装事件 - 按预缓存清单缓存应用需要的全部资源
 self.addEventListener('install', function(event) {
-  console.log('Service Worker: Installing...');
+  console.log('Service Worker: Installing version', PRECACHE.version);
   
-  // 预缓存关键资源
-  event.waitUntil(
-    (async function() {
-      try {
-        const cache = await caches.open(CACHE_NAME);
-        console.log('Service Worker: Caching files');
-        
-        // 逐个添加资源，即使某些资源失败也能继续
-        const preCachePromises = CACHE_ASSETS.map(asset => {
-          return cache.add(asset).catch(error => {
-            console.warn(`Service Worker: 预缓存资源失败: ${asset}`, error);
-            // 继续处理其他资源
-          });
-        });
-        
-        // 等待所有资源处理完成
-        await Promise.allSettled(preCachePromises);
-        
-        console.log('Service Worker: 预缓存完成');
-        return self.skipWaiting(); // 立即激活新的服务工作者
-      } catch (error) {
-        logError('安装Service Worker时发生错误', error);
-        // 即使出错也继续安装，避免整个安装失败
-      }
-    })()
-  );
+  // 安装后不立即激活：正在使用的页面和旧版本的脚本配套，由页面确认后再接管(SKIP_WAITING)
+  event.waitUntil(checkInstallAllowed().then(precacheAssets));
 });
 
+// 有车辆在停车时不安装新版本(首次安装除外)。安装失败后浏览器丢弃这个版本，之后检查更新时重新安装
+async function checkInstallAllowed() {
+  if (self.registration.active && await readReminderState('parked')) {
+    throw new Error('有车辆在停车，停车结束后再安装新版本');
+  }
+}
+
+// 缓存清单中的资源。每个文件都缺一不可，下载失败或内容与清单不符时安装失败，继续使用旧版本，浏览器稍后重试
+async function precacheAssets() {
+  const cache = await caches.open(CACHE_NAME);
+  
+  await Promise.all(PRECACHE.assets.map(async asset => {
+    const response = await fetch(new Request(asset.url, { cache: 'reload' }));
+    if (!response.ok) {
+      throw new Error(`预缓存资源失败: ${asset.url} (${response.status})`);
+    }
+    if (await hashResponse(response.clone()) !== asset.revision) {
+      throw new Error(`预缓存资源的内容与清单不符: ${asset.url}`);
+    }
+    await cache.put(asset.url, response);
+  }));
+  
+  console.log('Service Worker: 预缓存完成', CACHE_NAME);
+}
+
+// 响应内容的版本，与 tools/build-precache.js 的计算方式相同
+async function hashResponse(response) {
+  const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('').slice(0, 12);
+}
+
 // 激活事件 - 清理旧缓存并接管所有客户端（增强版）
 self.addEventListener('activate', function(event) {
   console.log('Service Worker: Activated');
   
-  // 清理旧缓存
-  const cacheWhitelist = [CACHE_NAME, RUNTIME_CACHE_NAME];
-  
   event.waitUntil(
     (async function() {
       try {
-        // 清理旧缓存
+        // 清理旧缓存，有旧版本的缓存时是更新，否则是首次安装；有车辆在停车时保留接管前的版本的缓存
         const cacheNames = await caches.keys();
+        const firstInstall = cacheNames.every(cacheName => cacheName === CACHE_NAME || cacheName === RUNTIME_CACHE_NAME);
+        const held = await holdPreviousCache(cacheNames);
+        const cacheWhitelist = [CACHE_NAME, RUNTIME_CACHE_NAME, held];
         const deletePromises = cacheNames
           .filter(cacheName => !cacheWhitelist.includes(cacheName))
           .map(cacheName => {
@@ -85,13 +122,17 @@ self.addEventListener('activate', function(event) {
         
         await Promise.allSettled(deletePromises);
         
+        // 激活后检查是否有错过的提醒，并更新常驻通知
+        await checkDueReminders();
+        await updateLiveStatus();
+        
         console.log('Service Worker: Claiming clients for version', CACHE_NAME);
-        await clients.claim(); // 确保新的SW立即控制所有客户端
+        await self.clients.claim(); // 确保新的SW立即控制所有客户端
         
-        // 通知所有客户端有新版本
-        const clients = await self.clients.matchAll({ type: 'window' });
-        clients.forEach(client => {
-          client.postMessage({ type: 'SW_UPDATED' });
+        // 通知所有客户端新版本已接管
+        const clientList = await self.clients.matchAll({ type: 'window' });
+        clientList.forEach(client => {
+          client.postMessage({ type: 'SW_UPDATED', version: PRECACHE.version, release: PRECACHE.release, firstInstall: firstInstall });
         });
       } catch (error) {
         logError('激活Service Worker时发生错误', error);
@@ -107,6 +148,7 @@ self.addEventListener('push', function(event) {
   
   event.waitUntil(
     (async function() {
+      await loadLocale();
       try {
         // 解析推送数据，增加错误处理
         let data;
@@ -115,17 +157,17 @@ self.addEventListener('push', function(event) {
         } catch (e) {
           // 如果JSON解析失败，使用默认数据
           data = {
-            title: '停车提醒',
-            body: event.data ? event.data.text() : '您的停车时间即将结束'
+            title: ParkingI18n.t('notify.appTitle'),
+            body: event.data ? event.data.text() : ParkingI18n.t('notify.defaultBody')
           };
         }
         
         // 设置默认值和合并数据
         const defaultData = {
-          title: '停车提醒',
-          body: '您的停车时间即将结束',
-          icon: 'https://p3-flow-imagex-sign.byteimg.com/tos-cn-i-a9rns2rl98/rc/pc/super_tool/971ee1c214bc456c8fd247df475d0bdb~tplv-a9rns2rl98-image.image?rcl=2025112010042259BA8B64B465EB32C6D0&rk3s=8e244e95&rrcfp=f06b921b&x-expires=1766196373&x-signature=xUvcVpcHJR7J6La7XcovoA3v%2FwI%3D',
-          badge: 'https://p3-flow-imagex-sign.byteimg.com/tos-cn-i-a9rns2rl98/rc/pc/super_tool/971ee1c214bc456c8fd247df475d0bdb~tplv-a9rns2rl98-image.image?rcl=2025112010042259BA8B64B465EB32C6D0&rk3s=8e244e95&rrcfp=f06b921b&x-expires=1766196373&x-signature=xUvcVpcHJR7J6La7XcovoA3v%2FwI%3D'
+          title: ParkingI18n.t('notify.appTitle'),
+          body: ParkingI18n.t('notify.defaultBody'),
+          icon: REMINDER_ICON,
+          badge: REMINDER_BADGE
         };
         
         // 合并默认数据和传入数据
@@ -145,9 +187,9 @@ self.addEventListener('push', function(event) {
             ...mergedData.data
           },
           actions: mergedData.actions || [
-            { action: 'view', title: '查看详情' },
-            { action: 'extend', title: '延长时间' },
-            { action: 'dismiss', title: '关闭' }
+            { action: 'view', title: ParkingI18n.t('notify.action.view') },
+            { action: 'extend', title: ParkingI18n.t('notify.action.extend') },
+            { action: 'dismiss', title: ParkingI18n.t('notify.action.dismiss') }
           ],
           // 增加通知类别
           tag: mergedData.tag || 'parking-reminder'
@@ -160,9 +202,9 @@ self.addEventListener('push', function(event) {
         logError('处理推送事件时出错', error);
         // 尝试显示基本通知，即使在出错情况下也能提供基本功能
         try {
-          await self.registration.showNotification('停车提醒', {
-            body: '收到停车相关通知，请查看应用',
-            icon: 'https://p3-flow-imagex-sign.byteimg.com/tos-cn-i-a9rns2rl98/rc/pc/super_tool/971ee1c214bc456c8fd247df475d0bdb~tplv-a9rns2rl98-image.image?rcl=2025112010042259BA8B64B465EB32C6D0&rk3s=8e244e95&rrcfp=f06b921b&x-expires=1766196373&x-signature=xUvcVpcHJR7J6La7XcovoA3v%2FwI%3D',
+          await self.registration.showNotification(ParkingI18n.t('notify.appTitle'), {
+            body: ParkingI18n.t('notify.pushFallback'),
+            icon: REMINDER_ICON,
             tag: 'parking-error'
           });
         } catch (notificationError) {
@@ -187,17 +229,23 @@ self.addEventListener('notificationclick', function(event) {
   // 定义点击后的URL
   let urlToOpen = notificationData.url || '/';
   
-  // 根据action参数修改URL
-  if (action === 'view') {
-    urlToOpen = `${urlToOpen}?notificationId=${notificationData.timestamp || Date.now()}&action=view&id=${notificationData.id || ''}`;
-  } else if (action === 'extend') {
-    // 延长停车时间的特定URL
-    urlToOpen = `${urlToOpen}?action=extend&id=${notificationData.id || ''}`;
-  } else if (action === 'dismiss') {
+  // 常驻通知可以多次点击，每次点击都是新的操作；点击后通知会关闭，处理完再重新显示(结束停车时由页面清除)
+  const isLive = notificationData.kind === 'live';
+  if (isLive) {
+    notificationData.id = `live-${Date.now()}`;
+  }
+  
+  // 根据action参数修改URL，页面按 action、id(通知对应的提醒)和 session(车辆)执行操作，见页面的"操作入口"
+  if (action === 'dismiss') {
     // 如果是关闭操作，直接返回
     console.log('用户关闭了通知');
     return;
   }
+  const params = new URLSearchParams({ action: action || 'view', id: notificationData.id || '' });
+  if (notificationData.sessionId) {
+    params.set('session', notificationData.sessionId);
+  }
+  urlToOpen = `${urlToOpen}?${params}`;
   
   // 检查是否已经有打开的客户端窗口
   event.waitUntil(
@@ -243,18 +291,65 @@ self.addEventListener('notificationclick', function(event) {
           clients.openWindow('/');
         }
       }
-    })()
+    })().then(() => {
+      if (isLive && action !== 'stop') {
+        return updateLiveStatus();
+      }
+    })
   );
 });
 
+// 预缓存的资源从哪个缓存提供：平时是本版本的缓存，停车期间接管时是接管前的版本的缓存
+let servingCacheName = null;
+
+// 接管时有车辆在停车，继续提供接管前的版本的缓存，返回该缓存的名字；没有车辆在停车时为 null。
+// 停车期间又有新版本接管时仍然保留最初的版本，打开的页面始终是同一个版本
+async function holdPreviousCache(cacheNames) {
+  const held = await readReminderState('heldCache');
+  const previous = held && cacheNames.includes(held) ? held :
+    cacheNames.find(cacheName => cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME);
+  const parked = previous && await readReminderState('parked');
+  
+  await writeReminderState('heldCache', parked ? previous : null);
+  servingCacheName = parked ? previous : CACHE_NAME;
+  return parked ? previous : null;
+}
+
+async function getServingCacheName() {
+  if (!servingCacheName) {
+    servingCacheName = (await readReminderState('heldCache')) || CACHE_NAME;
+  }
+  return servingCacheName;
+}
+
+// 保存页面告知的是否有车辆在停车；停车全部结束后改用本版本的缓存，删除保留的旧版本
+async function setParked(parked) {
+  await writeReminderState('parked', parked);
+  const held = parked ? null : await readReminderState('heldCache');
+  if (!held) return;
+  
+  await writeReminderState('heldCache', null);
+  servingCacheName = CACHE_NAME;
+  await caches.delete(held);
+  console.log('Service Worker: 停车已结束，改用版本', CACHE_NAME);
+}
+
+// 请求对应的预缓存地址，不在预缓存中时返回 null。应用页面(带操作参数的 /?action=... 等)都由 /index.html 提供
+function getPrecachedUrl(request) {
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return null;
+  if (request.mode === 'navigate' && (url.pathname === '/' || url.pathname === APP_SHELL_URL)) {
+    return APP_SHELL_URL;
+  }
+  return PRECACHE_URLS.has(url.pathname) ? url.pathname : null;
+}
+
 // 检查请求是否为静态资源
 function isStaticAsset(request) {
   const url = new URL(request.url);
-  // 检查文件扩展名或CDN URL
+  // 检查文件扩展名
   const staticExtensions = ['.js', '.css', '.json', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.ico', '.woff', '.woff2', '.ttf', '.eot'];
-  return staticExtensions.some(ext => url.pathname.endsWith(ext)) ||
-         url.hostname.includes('cdn.jsdelivr.net') ||
-         url.hostname.includes('cdn.tailwindcss.com');
+  return staticExtensions.some(ext => url.pathname.endsWith(ext));
 }
 
 // 缓存优先策略，但在后台更新缓存
@@ -305,16 +400,26 @@ async function networkFirstWithTimeout(request, timeoutMs) {
     }
     
     // 网络响应无效，尝试从缓存获取
-    return await caches.match(request) || await caches.match('/');
+    return await caches.match(request) || await caches.match(OFFLINE_URL);
   } catch (error) {
     if (error.name === 'AbortError') {
       console.log('Service Worker: 网络请求超时，使用缓存');
     } else {
       logError('网络优先策略执行失败', error);
     }
-    // 网络请求失败或超时，尝试从缓存获取
-    return await caches.match(request) || await caches.match('/');
+    // 网络请求失败或超时，尝试从缓存获取，没有时显示离线页面
+    return await caches.match(request) || await caches.match(OFFLINE_URL);
+  }
+}
+
+// 预缓存中缺少的资源(缓存被浏览器清理等)联网取得后存入提供预缓存的缓存，之后离线也能使用
+async function fetchIntoPrecache(request, precachedUrl) {
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(await getServingCacheName());
+    await cache.put(precachedUrl, response.clone());
   }
+  return response;
 }
 
 // 从网络获取并缓存响应
@@ -376,11 +481,11 @@ self.addEventListener('fetch', function(event) {
   // 忽略非GET请求和Chrome扩展请求
   if (request.method !== 'GET' || request.url.startsWith('chrome-extension://')) {
     return event.respondWith(fetch(request).catch(() => {
-      return new Response('网络请求失败，请检查您的网络连接', {
+      return new Response(ParkingI18n.t('offline.networkFailed'), {
         status: 503,
         statusText: 'Service Unavailable',
         headers: new Headers({
-          'Content-Type': 'text/plain'
+          'Content-Type': 'text/plain; charset=utf-8'
         })
       });
     }));
@@ -390,11 +495,11 @@ self.addEventListener('fetch', function(event) {
   if (isSensitiveRequest(request)) {
     return event.respondWith(
       fetch(request).catch(() => {
-        return new Response('敏感请求无法完成，请检查您的网络连接', {
+        return new Response(ParkingI18n.t('offline.sensitiveFailed'), {
           status: 503,
           statusText: 'Service Unavailable',
           headers: new Headers({
-            'Content-Type': 'text/plain'
+            'Content-Type': 'text/plain; charset=utf-8'
           })
         });
       })
@@ -403,9 +508,22 @@ self.addEventListener('fetch', function(event) {
   
   // 检查是否是导航请求（加载页面）
   const isNavigationRequest = request.mode === 'navigate';
-  
   if (isNavigationRequest) {
-    // 对于导航请求，使用网络优先策略
+    // 服务工作者被唤醒时顺便检查到期的提醒，更新常驻通知
+    event.waitUntil(checkDueReminders().then(updateLiveStatus));
+  }
+  
+  // 应用页面和预缓存的资源总是使用同一个版本的缓存，与页面的脚本保持同一版本
+  const precachedUrl = getPrecachedUrl(request);
+  if (precachedUrl) {
+    event.respondWith(
+      getServingCacheName()
+        .then(cacheName => caches.open(cacheName))
+        .then(cache => cache.match(precachedUrl))
+        .then(response => response || fetchIntoPrecache(request, precachedUrl))
+    );
+  } else if (isNavigationRequest) {
+    // 其他页面使用网络优先策略，离线时显示离线页面
     event.respondWith(
       networkFirstWithTimeout(request, CACHE_CONFIG.NETWORK_TIMEOUT)
     );
@@ -445,145 +563,44 @@ self.addEventListener('fetch', function(event) {
   }
 });
 
-// 带重试功能的fetch
-async function retryFetch(url, options, maxRetries) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await fetch(url, {
-        ...options,
-        // 添加超时
-        signal: AbortSignal.timeout(CACHE_CONFIG.NETWORK_TIMEOUT * 2)
-      });
-      
-      if (response.ok) {
-        return true;
-      } else if (attempt < maxRetries && isRetryableError(response.status)) {
-        // 对于可重试的错误，等待一段时间后重试
-        const delay = Math.pow(2, attempt) * 1000; // 指数退避
-        await new Promise(resolve => setTimeout(resolve, delay));
-        lastError = new Error(`HTTP错误 ${response.status}`);
-        continue;
-      }
-      
-      return false;
-    } catch (error) {
-      if (attempt < maxRetries && isRetryableError(error)) {
-        // 对于网络错误，也使用指数退避重试
-        const delay = Math.pow(2, attempt) * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        lastError = error;
-        continue;
-      }
-      
-      lastError = error;
-    }
-  }
-  
-  console.error(`Service Worker: 所有${maxRetries}次重试都失败了`, lastError);
-  return false;
-}
-
-// 判断是否是可重试的错误
-function isRetryableError(errorOrStatus) {
-  // HTTP状态码
-  if (typeof errorOrStatus === 'number') {
-    // 服务器错误和请求超时可以重试
-    return errorOrStatus >= 500 || errorOrStatus === 408;
-  }
-  
-  // 错误对象
-  if (errorOrStatus instanceof Error) {
-    // 网络错误、超时等可以重试
-    return errorOrStatus.name === 'NetworkError' || 
-           errorOrStatus.name === 'AbortError' ||
-           errorOrStatus.message.includes('network') ||
-           errorOrStatus.message.includes('timeout');
-  }
-  
-  return false;
-}
-
-// 后台同步事件 - 用于在网络恢复时同步数据（增强版）
+// 后台同步事件 - 网络恢复时上传本地修改并拉取其他设备的修改
 self.addEventListener('sync', function(event) {
   console.log('Service Worker: Background sync event', event.tag);
   
   if (event.tag === 'sync-parking-data') {
+    // 失败时抛出异常，浏览器会稍后重试
     event.waitUntil(
-      syncParkingData().catch(error => {
-        logError('后台同步失败', error);
-        // 即使失败也不抛出异常，让同步机制可以重试
-        return false;
+      syncParkingData().then(success => {
+        if (!success) throw new Error('同步失败，等待重试');
       })
     );
   }
 });
 
-// 同步停车数据的辅助函数（增强版）
+// 同步停车数据，协议见 sync.js。拉取到的修改放在 inbox 中，由打开的页面写入本地数据
 async function syncParkingData() {
   try {
-    // 模拟从IndexedDB获取待同步数据
-    // 实际实现中，这里应该从IndexedDB读取数据
-    // 这里使用localStorage作为后备方案
-    let pendingSyncs = [];
-    try {
-      const storedSyncs = localStorage.getItem('pendingSyncs');
-      if (storedSyncs) {
-        pendingSyncs = JSON.parse(storedSyncs);
-      }
-    } catch (e) {
-      console.warn('读取待同步数据失败:', e);
-      pendingSyncs = [];
-    }
-    
-    console.log(`Service Worker: 找到 ${pendingSyncs.length} 条待同步数据`);
-    
-    // 如果没有待同步数据，直接返回成功
-    if (pendingSyncs.length === 0) {
-      console.log('Service Worker: 没有待同步数据');
+    const result = await ParkingSync.sync();
+    if (!result) {
+      console.log('Service Worker: 没有设置同步服务器');
       return true;
     }
     
-    // 尝试同步数据到服务器
-    // 添加重试机制
-    const syncSuccess = await retryFetch('/api/sync', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ 
-        items: pendingSyncs,
-        timestamp: Date.now()
-      })
-    }, 3); // 最多重试3次
+    console.log(`Service Worker: 同步完成，上传 ${result.pushed} 条，拉取 ${result.pulled} 条，冲突 ${result.conflicts} 条`);
     
-    if (syncSuccess) {
-      console.log('Service Worker: 数据同步成功');
-      // 清除已同步的数据
-      try {
-        localStorage.removeItem('pendingSyncs');
-      } catch (e) {
-        console.warn('清除待同步数据失败:', e);
-      }
-      
-      // 通知所有客户端同步成功
-      const clients = await self.clients.matchAll();
-      clients.forEach(client => {
-        client.postMessage({
-          type: 'SYNC_COMPLETED',
-          timestamp: Date.now()
-        });
+    // 通知所有客户端同步完成
+    const clientList = await self.clients.matchAll({ type: 'window' });
+    clientList.forEach(client => {
+      client.postMessage({
+        type: 'SYNC_COMPLETED',
+        result: result,
+        timestamp: Date.now()
       });
-      
-      return true;
-    }
+    });
     
-    console.error('Service Worker: 数据同步失败');
-    return false;
+    return true;
   } catch (error) {
     logError('同步数据时出错', error);
-    // 即使出错也返回false而不是抛出异常，让同步机制可以重试
     return false;
   }
 }
@@ -604,12 +621,57 @@ self.addEventListener('message', function(event) {
       });
     });
   } else if (type === 'GET_VERSION') {
-    // 返回当前Service Worker版本信息
-    event.source.postMessage({
+    // 返回版本信息和最近几个版本的更新说明，页面用它显示"有什么变化"；通过 MessageChannel 询问时从端口回复
+    const target = event.ports && event.ports[0] ? event.ports[0] : event.source;
+    target.postMessage({
       type: 'VERSION_RESPONSE',
-      version: CACHE_NAME,
+      version: PRECACHE.version,
+      release: PRECACHE.release,
+      releases: PRECACHE.releases,
       timestamp: Date.now()
     });
+  } else if (type === 'SKIP_WAITING') {
+    // 页面确认没有车辆在停车后，让等待中的新版本接管
+    self.skipWaiting();
+  } else if (type === 'SCHEDULE_REMINDERS') {
+    // 客户端交来新的提醒计划，替换原有计划
+    event.waitUntil(
+      scheduleReminders((data && data.reminders) || []).then(count => {
+        if (event.source) {
+          event.source.postMessage({
+            type: 'REMINDER_SCHEDULED',
+            mode: getReminderMode(),
+            count,
+            timestamp: Date.now()
+          });
+        }
+        return waitForNextReminder();
+      }).catch(error => logError('保存提醒计划失败', error))
+    );
+  } else if (type === 'SET_LOCALE') {
+    // 页面切换了界面语言或币种，之后的通知使用该语言和币种
+    ParkingI18n.setLocale(data && data.locale);
+    ParkingI18n.setCurrency(data && data.currency);
+    localeLoaded = Promise.resolve();
+    event.waitUntil(
+      Promise.all([
+        writeReminderState('locale', ParkingI18n.getLocale()),
+        writeReminderState('currency', ParkingI18n.getCurrency())
+      ]).catch(error => logError('保存界面语言失败', error))
+    );
+  } else if (type === 'LIVE_STATUS') {
+    // 客户端交来正在停车的车辆(没有时为 null)和是否有车辆在停车
+    event.waitUntil(
+      Promise.all([
+        setLiveStatus(data && data.session, data && data.snoozeMinutes),
+        setParked(!!(data && data.parked))
+      ]).catch(error => logError('保存常驻通知状态失败', error))
+    );
+  } else if (type === 'CLEAR_REMINDERS') {
+    // 客户端停止或暂停计时，清除提醒计划
+    event.waitUntil(
+      scheduleReminders([]).catch(error => logError('清除提醒计划失败', error))
+    );
   } else if (type === 'CACHE_ASSETS') {
     // 客户端请求缓存特定资源
     if (Array.isArray(data.assets)) {
@@ -627,6 +689,324 @@ self.addEventListener('message', function(event) {
   }
 });
 
+// 定期后台同步 - 浏览器允许时定期唤醒服务工作者检查提醒
+self.addEventListener('periodicsync', function(event) {
+  if (event.tag === REMINDER_CONFIG.PERIODIC_SYNC_TAG) {
+    event.waitUntil(checkDueReminders().then(updateLiveStatus));
+  }
+});
+
+// ===== 提醒调度 =====
+// 页面把提醒计划发给服务工作者，由服务工作者保存并在到期时显示通知，页面被关闭或挂起后也能提醒。
+// 支持 Notification Triggers 的浏览器把通知直接交给系统定时显示(trigger模式)；
+// 其他浏览器在服务工作者被唤醒时检查并显示到期的提醒，即将到期的提醒会尽量保持服务工作者运行(worker模式)。
+let reminderTimer = null;
+
+// 打开保存提醒计划的数据库
+function openReminderDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(REMINDER_CONFIG.DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(REMINDER_CONFIG.STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// 读取保存的状态
+async function readReminderState(key) {
+  const db = await openReminderDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(REMINDER_CONFIG.STORE_NAME, 'readonly')
+      .objectStore(REMINDER_CONFIG.STORE_NAME)
+      .get(key);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).finally(() => db.close());
+}
+
+// 写入状态
+async function writeReminderState(key, value) {
+  const db = await openReminderDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(REMINDER_CONFIG.STORE_NAME, 'readwrite');
+    transaction.objectStore(REMINDER_CONFIG.STORE_NAME).put(value, key);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  }).finally(() => db.close());
+}
+
+// 是否支持由系统定时显示通知
+function supportsNotificationTriggers() {
+  return typeof TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+}
+
+// 当前的提醒送达方式
+function getReminderMode() {
+  return supportsNotificationTriggers() ? 'trigger' : 'worker';
+}
+
+// 保存新的提醒计划，替换原有计划
+async function scheduleReminders(reminders) {
+  // 先处理原计划中已经到期的提醒(设备休眠或服务工作者没有被唤醒时可能错过)，再替换计划
+  await checkDueReminders();
+  
+  const now = Date.now();
+  const pending = reminders
+    .filter(reminder => reminder && reminder.id && reminder.at > now)
+    .map(reminder => ({ ...reminder, fired: false }));
+  
+  await cancelScheduledNotifications();
+  await writeReminderState('reminders', pending);
+  
+  if (supportsNotificationTriggers()) {
+    for (const reminder of pending) {
+      await showReminderNotification(reminder, true);
+    }
+  }
+  
+  console.log(`Service Worker: 已保存 ${pending.length} 个提醒，送达方式: ${getReminderMode()}`);
+  await checkDueReminders();
+  
+  return pending.length;
+}
+
+// 页面设置的界面语言和币种保存在提醒数据库中，服务工作者启动后第一次显示通知前读取
+let localeLoaded = null;
+
+function loadLocale() {
+  if (!localeLoaded) {
+    localeLoaded = Promise.all([readReminderState('locale'), readReminderState('currency')])
+      .then(([locale, currency]) => {
+        if (locale) ParkingI18n.setLocale(locale);
+        if (currency) ParkingI18n.setCurrency(currency);
+      })
+      .catch(error => logError('读取界面语言失败', error));
+  }
+  return localeLoaded;
+}
+
+// 显示提醒通知，useTrigger为true时交给系统在提醒时间显示
+async function showReminderNotification(reminder, useTrigger) {
+  await loadLocale();
+  const options = {
+    body: reminder.body || ParkingI18n.t('notify.defaultBody'),
+    icon: REMINDER_ICON,
+    badge: REMINDER_BADGE,
+    vibrate: reminder.vibrate || [500, 200, 500],
+    tag: REMINDER_CONFIG.TAG_PREFIX + reminder.id,
+    renotify: true,
+    // 轻柔的提醒阶段不需要一直停留在屏幕上
+    requireInteraction: !reminder.stage || reminder.stage.level !== 'gentle',
+    data: {
+      url: '/',
+      timestamp: reminder.at,
+      id: reminder.id,
+      kind: reminder.kind,
+      sessionId: reminder.sessionId,
+      ...reminder.data
+    },
+    // 时间提醒可以直接延长停车时长或稍后再提醒，费用、预算和停车限制提醒只能查看(延长停车时长不能解除限制)
+    actions: ['cost', 'budget', 'limit'].includes(reminder.kind) ? [
+      { action: 'view', title: ParkingI18n.t('notify.action.view') },
+      { action: 'dismiss', title: ParkingI18n.t('notify.action.dismiss') }
+    ] : [
+      { action: 'extend', title: ParkingI18n.t('notify.action.extend30') },
+      { action: 'snooze', title: ParkingI18n.t('notify.action.snooze', { minutes: reminder.snoozeMinutes || 5 }) }
+    ]
+  };
+  
+  if (useTrigger) {
+    options.showTrigger = new TimestampTrigger(reminder.at);
+  }
+  
+  await self.registration.showNotification(reminder.title || ParkingI18n.t('notify.appTitle'), options);
+}
+
+// 错过的提醒合并为一条通知，页面打开后记入对应车辆的提醒历史
+async function showMissedRemindersNotification(missed) {
+  await loadLocale();
+  const first = missed.reduce((earliest, reminder) => Math.min(earliest, reminder.at), Infinity);
+  await self.registration.showNotification(ParkingI18n.t('notify.missedTitle'), {
+    body: ParkingI18n.t('reminder.missed', { count: missed.length, time: ParkingI18n.formatTime(new Date(first)) }),
+    icon: REMINDER_ICON,
+    badge: REMINDER_BADGE,
+    tag: REMINDER_CONFIG.TAG_PREFIX + 'missed',
+    renotify: true,
+    data: { url: '/' }
+  });
+}
+
+// 取消还未显示的定时通知
+async function cancelScheduledNotifications() {
+  if (!supportsNotificationTriggers()) return;
+  
+  const notifications = await self.registration.getNotifications({ includeTriggered: true });
+  notifications
+    .filter(notification => notification.tag && notification.tag.startsWith(REMINDER_CONFIG.TAG_PREFIX))
+    .filter(notification => notification.timestamp > Date.now())
+    .forEach(notification => notification.close());
+}
+
+// 检查并显示到期的提醒，并为下一个提醒设置定时器
+async function checkDueReminders() {
+  try {
+    if (reminderTimer) {
+      clearTimeout(reminderTimer);
+      reminderTimer = null;
+    }
+    
+    const reminders = (await readReminderState('reminders')) || [];
+    const now = Date.now();
+    const due = reminders.filter(reminder => !reminder.fired && reminder.at <= now);
+    
+    if (due.length > 0) {
+      for (const reminder of due) {
+        reminder.fired = true;
+        // 预算提醒和还没到达限制的停车限制提醒晚了仍然有效，不算错过
+        const stillValid = reminder.kind === 'budget' || (reminder.kind === 'limit' && reminder.changeAt > now);
+        reminder.missed = !stillValid && now - reminder.at > REMINDER_CONFIG.MISSED_AFTER_MS;
+        // trigger模式下通知已由系统显示；错过的提醒不再逐条显示
+        if (!supportsNotificationTriggers() && !reminder.missed) {
+          await showReminderNotification(reminder, false);
+        }
+      }
+      
+      const missed = due.filter(reminder => reminder.missed);
+      if (missed.length > 0 && !supportsNotificationTriggers()) {
+        await showMissedRemindersNotification(missed);
+      }
+      
+      // 只保留还没到期的提醒
+      await writeReminderState('reminders', reminders.filter(reminder => !reminder.fired));
+      
+      // 告知打开的页面，页面会显示提醒弹窗
+      const clientList = await self.clients.matchAll({ type: 'window' });
+      clientList.forEach(client => {
+        due.forEach(reminder => {
+          client.postMessage({ type: 'REMINDER_DUE', reminder, timestamp: now });
+        });
+      });
+    }
+    
+    // 服务工作者存活期间用定时器等待下一个提醒
+    const next = reminders.filter(reminder => !reminder.fired)
+      .reduce((earliest, reminder) => Math.min(earliest, reminder.at), Infinity);
+    if (next !== Infinity) {
+      reminderTimer = setTimeout(checkDueReminders, ParkingCore.getTimerDelay(next, now));
+    }
+    
+    return next;
+  } catch (error) {
+    logError('检查提醒时出错', error);
+    return Infinity;
+  }
+}
+
+// 下一个提醒即将到期时保持服务工作者运行直到提醒显示
+async function waitForNextReminder() {
+  const next = await checkDueReminders();
+  const delay = next - Date.now();
+  
+  if (next === Infinity || delay > REMINDER_CONFIG.KEEP_ALIVE_MS) {
+    return;
+  }
+  
+  await new Promise(resolve => setTimeout(resolve, Math.max(0, delay) + 500));
+  await waitForNextReminder();
+}
+
+// ===== 常驻通知 =====
+// 页面把正在停车的车辆交给服务工作者(LIVE_STATUS)，服务工作者保存后显示一条常驻通知(固定的 tag，静默更新)，
+// 并在支持 Badging API 时把剩余分钟数显示在应用图标角标上，内容由 ParkingCore.buildLiveStatus 按当前时间生成。
+// 服务工作者存活期间每分钟更新一次，之后在被唤醒时更新(页面计时期间每分钟发送一次、提醒、后台检查)。
+// 用户划掉通知后，直到页面交来新的状态前不再显示；角标照常更新。
+let liveStatusTimer = null;
+
+// 保存页面交来的车辆和稍后提醒间隔，session 为 null 时清除通知和角标
+async function setLiveStatus(session, snoozeMinutes) {
+  const live = await readReminderState('live');
+  // 页面每分钟重复发送同样的状态，状态没变时保留用户划掉通知的选择
+  const unchanged = live && session && JSON.stringify(live.session) === JSON.stringify(session);
+  await writeReminderState('live', session ? {
+    session: session,
+    snoozeMinutes: snoozeMinutes || 5,
+    dismissed: unchanged ? live.dismissed : false
+  } : null);
+  await updateLiveStatus();
+}
+
+// 按当前时间更新常驻通知和角标，并等待下一分钟再更新
+async function updateLiveStatus() {
+  if (liveStatusTimer) {
+    clearTimeout(liveStatusTimer);
+    liveStatusTimer = null;
+  }
+  
+  try {
+    await loadLocale();
+    const live = await readReminderState('live');
+    const now = Date.now();
+    const status = live ? ParkingCore.buildLiveStatus(live.session, now) : null;
+    await setAppBadge(status ? status.badge : null);
+    
+    if (!status || live.dismissed || Notification.permission !== 'granted') {
+      const shown = await self.registration.getNotifications({ tag: LIVE_CONFIG.TAG });
+      shown.forEach(notification => notification.close());
+    } else {
+      await self.registration.showNotification(status.title, {
+        body: status.body,
+        icon: REMINDER_ICON,
+        badge: REMINDER_BADGE,
+        tag: LIVE_CONFIG.TAG,
+        silent: true,
+        renotify: false,
+        timestamp: status.startMs,
+        data: { url: '/', kind: 'live', sessionId: status.sessionId },
+        actions: [
+          { action: 'stop', title: ParkingI18n.t('notify.action.stop') },
+          { action: 'extend', title: ParkingI18n.t('notify.action.extend30') },
+          { action: 'snooze', title: ParkingI18n.t('notify.action.snooze', { minutes: live.snoozeMinutes }) }
+        ]
+      });
+    }
+    
+    if (status) {
+      liveStatusTimer = setTimeout(updateLiveStatus, LIVE_CONFIG.UPDATE_MS - now % LIVE_CONFIG.UPDATE_MS);
+    }
+  } catch (error) {
+    logError('更新常驻通知时出错', error);
+  }
+}
+
+// 设置应用图标角标，count 为空时清除(浏览器不支持时忽略)
+async function setAppBadge(count) {
+  if (!('setAppBadge' in navigator)) return;
+  
+  try {
+    if (count > 0) {
+      await navigator.setAppBadge(count);
+    } else {
+      await navigator.clearAppBadge();
+    }
+  } catch (error) {
+    logError('设置应用角标时出错', error);
+  }
+}
+
+// 用户划掉常驻通知
+self.addEventListener('notificationclose', function(event) {
+  const data = event.notification.data || {};
+  if (data.kind !== 'live') return;
+  
+  event.waitUntil(
+    readReminderState('live')
+      .then(live => live && writeReminderState('live', { ...live, dismissed: true }))
+      .catch(error => logError('保存常驻通知状态失败', error))
+  );
+});
+
 // 确保关键功能可用
 console.log('Service Worker 加载成功，版本:', CACHE_NAME);
 
@@ -0,0 +1,298 @@
+// 数据同步 - 页面和服务工作者共用
+// 协议说明见 README 的"数据同步"一节，参考服务器见 server/sync-server.js。
+//
+// 同步数据保存在IndexedDB的 parking-sync 库中，页面和服务工作者都可以读写：
+//   - outbox：待上传的本地修改，每条记录只保留最新一次 { key, collection, id, deleted, data, updatedAt, deviceId }
+//   - inbox：从服务器拉取、等待页面写入本地数据的修改 { key, collection, id, rev, deleted, data, updatedAt, deviceId }
+//   - revs：每条记录最后已知的服务器版本号 { key, rev }
+//   - state：同步设置和进度 config { serverUrl, token }、deviceId、cursor、lastSync
+// 服务工作者没有 localStorage，只负责上传和拉取；拉取到的修改由页面从 inbox 写入本地数据。
+// 错误提示使用 i18n.js 的消息目录，需在本文件之前加载。
+(function(global) {
+  const SYNC_DB_NAME = 'parking-sync';
+  const SYNC_PROTOCOL = 1;
+  const PULL_LIMIT = 200;
+  const COLLECTIONS = ['sessions', 'history', 'presets']; // 计费规则、预算等本机设置不同步，见 README
+  
+  function openSyncDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(SYNC_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('outbox', { keyPath: 'key' });
+        db.createObjectStore('inbox', { keyPath: 'key' });
+        db.createObjectStore('revs', { keyPath: 'key' });
+        db.createObjectStore('state');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  // 在一个事务中操作多个表，work 可以返回一个在事务完成后读取结果的函数
+  async function withStores(storeNames, mode, work) {
+    const db = await openSyncDB();
+    try {
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const stores = {};
+        storeNames.forEach(name => {
+          stores[name] = transaction.objectStore(name);
+        });
+        const getResult = work(stores);
+        transaction.oncomplete = () => resolve(getResult ? getResult() : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+  
+  function recordKey(collection, id) {
+    return `${collection}:${id}`;
+  }
+  
+  function getState(key) {
+    return withStores(['state'], 'readonly', stores => {
+      const request = stores.state.get(key);
+      return () => request.result;
+    });
+  }
+  
+  function setState(key, value) {
+    return withStores(['state'], 'readwrite', stores => {
+      stores.state.put(value, key);
+    });
+  }
+  
+  async function getConfig() {
+    return (await getState('config')) || { serverUrl: '', token: '' };
+  }
+  
+  // 保存同步设置。更换服务器时清除同步进度，返回 true 表示需要重新上传全部数据
+  async function setConfig(config) {
+    const previous = await getConfig();
+    const next = {
+      serverUrl: (config.serverUrl || '').trim().replace(/\/+$/, ''),
+      token: (config.token || '').trim()
+    };
+    
+    const serverChanged = next.serverUrl !== previous.serverUrl;
+    await withStores(['state', 'revs', 'inbox', 'outbox'], 'readwrite', stores => {
+      stores.state.put(next, 'config');
+      if (serverChanged) {
+        stores.state.delete('cursor');
+        stores.state.delete('lastSync');
+        stores.revs.clear();
+        stores.inbox.clear();
+        stores.outbox.clear();
+      }
+    });
+    
+    return serverChanged && next.serverUrl !== '';
+  }
+  
+  async function getDeviceId() {
+    let deviceId = await getState('deviceId');
+    if (!deviceId) {
+      deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      await setState('deviceId', deviceId);
+    }
+    return deviceId;
+  }
+  
+  // 记录本地修改 [{ collection, id, deleted, data }]，同一条记录只保留最新的修改
+  async function queueChanges(changes) {
+    if (changes.length === 0) return;
+    
+    const deviceId = await getDeviceId();
+    const updatedAt = Date.now();
+    await withStores(['outbox'], 'readwrite', stores => {
+      changes.forEach(change => {
+        stores.outbox.put({
+          key: recordKey(change.collection, change.id),
+          collection: change.collection,
+          id: change.id,
+          deleted: !!change.deleted,
+          data: change.deleted ? null : change.data,
+          updatedAt: updatedAt,
+          deviceId: deviceId
+        });
+      });
+    });
+  }
+  
+  // 同步状态，用于显示
+  async function getStatus() {
+    const config = await getConfig();
+    return withStores(['outbox', 'inbox', 'state'], 'readonly', stores => {
+      const pending = stores.outbox.count();
+      const incoming = stores.inbox.count();
+      const lastSync = stores.state.get('lastSync');
+      return () => ({
+        config: config,
+        pending: pending.result,
+        incoming: incoming.result,
+        lastSync: lastSync.result || null
+      });
+    });
+  }
+  
+  // 请求同步服务器
+  async function request(config, path, options) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.token) {
+      headers.Authorization = `Bearer ${config.token}`;
+    }
+    
+    const response = await fetch(config.serverUrl + path, { ...options, headers: headers });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error((body && body.error) || global.ParkingI18n.t('sync.serverError', { status: response.status }));
+    }
+    if (!body || body.protocol !== SYNC_PROTOCOL) {
+      throw new Error(global.ParkingI18n.t('sync.incompatible'));
+    }
+    return body;
+  }
+  
+  // 上传 outbox 中的修改。服务器判定冲突且服务器上的版本胜出时，把服务器版本放入 inbox
+  async function push(config, deviceId) {
+    const local = await withStores(['outbox', 'revs'], 'readonly', stores => {
+      const outbox = stores.outbox.getAll();
+      const revs = stores.revs.getAll();
+      return () => ({ outbox: outbox.result, revs: revs.result });
+    });
+    if (local.outbox.length === 0) return { pushed: 0, conflicts: 0 };
+    
+    const revs = new Map(local.revs.map(item => [item.key, item.rev]));
+    const body = await request(config, '/sync/push', {
+      method: 'POST',
+      body: JSON.stringify({
+        protocol: SYNC_PROTOCOL,
+        deviceId: deviceId,
+        changes: local.outbox.map(entry => ({
+          collection: entry.collection,
+          id: entry.id,
+          baseRev: revs.get(entry.key) || 0,
+          deleted: entry.deleted,
+          data: entry.data,
+          updatedAt: entry.updatedAt
+        }))
+      })
+    });
+    
+    let conflicts = 0;
+    await withStores(['outbox', 'inbox', 'revs'], 'readwrite', stores => {
+      body.results.forEach(result => {
+        const key = recordKey(result.collection, result.id);
+        const sent = local.outbox.find(entry => entry.key === key);
+        if (!sent) return;
+        
+        stores.revs.put({ key: key, rev: result.record.rev });
+        if (result.status === 'conflict') {
+          conflicts++;
+        }
+        
+        // 上传期间又有新的本地修改时保留，下次上传
+        const current = stores.outbox.get(key);
+        current.onsuccess = () => {
+          if (!current.result || current.result.updatedAt !== sent.updatedAt) return;
+          stores.outbox.delete(key);
+          if (result.status === 'conflict') {
+            stores.inbox.put({ key: key, ...result.record });
+          }
+        };
+      });
+    });
+    
+    return { pushed: body.results.length - conflicts, conflicts: conflicts };
+  }
+  
+  // 拉取服务器上比 cursor 新的修改放入 inbox，本地有更新的未上传修改时以本地为准
+  async function pull(config) {
+    let cursor = (await getState('cursor')) || 0;
+    let pulled = 0;
+    let more = true;
+    
+    while (more) {
+      const body = await request(config, `/sync/pull?since=${cursor}&limit=${PULL_LIMIT}`, { method: 'GET' });
+      
+      await withStores(['outbox', 'inbox', 'revs', 'state'], 'readwrite', stores => {
+        body.changes.forEach(change => {
+          const key = recordKey(change.collection, change.id);
+          const known = stores.revs.get(key);
+          known.onsuccess = () => {
+            // 自己上传的修改或已经拉取过
+            if (known.result && known.result.rev >= change.rev) return;
+            
+            const local = stores.outbox.get(key);
+            local.onsuccess = () => {
+              if (local.result && local.result.updatedAt > change.updatedAt) return;
+              if (local.result) {
+                stores.outbox.delete(key);
+              }
+              stores.inbox.put({ key: key, ...change });
+              stores.revs.put({ key: key, rev: change.rev });
+              pulled++;
+            };
+          };
+        });
+        stores.state.put(body.rev, 'cursor');
+      });
+      
+      cursor = body.rev;
+      more = body.more;
+    }
+    
+    return pulled;
+  }
+  
+  // 上传并拉取一次，没有设置服务器时返回 null
+  async function sync() {
+    const config = await getConfig();
+    if (!config.serverUrl) return null;
+    
+    const deviceId = await getDeviceId();
+    const pushed = await push(config, deviceId);
+    const pulled = await pull(config);
+    const result = { ...pushed, pulled: pulled, at: Date.now() };
+    await setState('lastSync', result);
+    return result;
+  }
+  
+  // 读取 inbox 中等待写入本地的修改
+  function readInbox() {
+    return withStores(['inbox'], 'readonly', stores => {
+      const request = stores.inbox.getAll();
+      return () => request.result;
+    });
+  }
+  
+  // 页面写入本地数据后删除这些修改(期间又拉取到更新版本的保留)
+  function removeInbox(entries) {
+    return withStores(['inbox'], 'readwrite', stores => {
+      entries.forEach(entry => {
+        const current = stores.inbox.get(entry.key);
+        current.onsuccess = () => {
+          if (current.result && current.result.rev === entry.rev) {
+            stores.inbox.delete(entry.key);
+          }
+        };
+      });
+    });
+  }
+  
+  global.ParkingSync = {
+    PROTOCOL: SYNC_PROTOCOL,
+    COLLECTIONS: COLLECTIONS,
+    getConfig: getConfig,
+    setConfig: setConfig,
+    getStatus: getStatus,
+    queueChanges: queueChanges,
+    sync: sync,
+    readInbox: readInbox,
+    removeInbox: removeInbox
+  };
+})(self);
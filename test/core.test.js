@@ -0,0 +1,874 @@
+// ParkingCore 的自动化测试，运行：node --test test/
+// 覆盖原来 test.html、test-timer-fix.html、test-fix.html 中手动检查的场景，以及计费、规则解析、提醒计划和数据存储
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ParkingCore = require('../core.js');
+const ParkingI18n = require('../i18n.js');
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const BASE = new Date(2026, 9, 19, 9, 0).getTime(); // 本地时间 2026-10-19 09:00
+
+// 与 localStorage 接口相同的内存存储
+function createMemoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)]));
+  return {
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key),
+    data: data
+  };
+}
+
+// 可以手动拨动的时钟
+function createClock(start = BASE) {
+  let current = start;
+  const now = () => current;
+  now.advance = ms => { current += ms; };
+  return now;
+}
+
+function createCore(initial) {
+  const now = createClock();
+  const storage = createMemoryStorage(initial);
+  return { core: ParkingCore.create({ now: now, storage: storage }), now: now, storage: storage };
+}
+
+function defaultRule() {
+  return JSON.parse(JSON.stringify(ParkingCore.DEFAULT_PRICING_RULE));
+}
+
+// 从 BASE 开始正在计时的车辆，按默认规则计费，overrides 中的字段覆盖默认值
+function createSession(overrides = {}) {
+  return {
+    id: 'car',
+    name: '我的车',
+    startTime: new Date(BASE).toISOString(),
+    isRunning: true,
+    rules: defaultRule(),
+    totalDuration: 0,
+    events: [{ type: 'start', at: BASE }],
+    ...overrides
+  };
+}
+
+test('格式化', async t => {
+  await t.test('formatDuration 显示小时和分钟，不足1分钟显示0分钟', () => {
+    assert.equal(ParkingCore.formatDuration(0), '0分钟');
+    assert.equal(ParkingCore.formatDuration(45 * MINUTE), '45分钟');
+    assert.equal(ParkingCore.formatDuration(2 * HOUR), '2小时');
+    assert.equal(ParkingCore.formatDuration(2 * HOUR + 5 * MINUTE + 59000), '2小时5分钟');
+  });
+  
+  await t.test('formatDateTime 和 formatTime 使用本地时间并补零', () => {
+    const date = new Date(2026, 0, 5, 7, 3);
+    assert.equal(ParkingCore.formatDateTime(date), '2026/01/05 07:03');
+    assert.equal(ParkingCore.formatTime(date), '07:03');
+  });
+  
+  await t.test('切换语言和币种后文字和金额随之变化，不支持的语言和币种使用默认值', t => {
+    t.after(() => {
+      ParkingI18n.setLocale('zh-CN');
+      ParkingI18n.setCurrency('CNY');
+    });
+    assert.equal(ParkingI18n.setLocale(['fr-FR', 'en-GB']), 'en');
+    assert.equal(ParkingI18n.setCurrency('HKD'), 'HKD');
+    assert.equal(ParkingCore.formatDuration(2 * HOUR + 5 * MINUTE), '2 h 5 min');
+    assert.equal(ParkingI18n.formatMoney(12.5), 'HK$12.50');
+    assert.equal(ParkingI18n.t('history.pauses', { count: 1 }), 'paused once');
+    assert.equal(ParkingI18n.t('history.pauses', { count: 3 }), 'paused 3 times');
+    assert.equal(ParkingI18n.setCurrency('XYZ'), 'CNY');
+    assert.equal(ParkingI18n.setLocale('de'), 'zh-CN');
+  });
+});
+
+// test-timer-fix.html / test-fix.html / test.html 第1项：计时器显示
+test('计时器显示', async t => {
+  await t.test('没有开始时显示 00:00:00', () => {
+    assert.deepEqual(ParkingCore.getTimerReadout(null, 0, 0, BASE), { text: '00:00:00', highlight: false, costTime: null });
+  });
+  
+  await t.test('首次开始后显示已停时长', () => {
+    const readout = ParkingCore.getTimerReadout(BASE, 10 * MINUTE + 5000, 0, BASE + 10 * MINUTE + 5000);
+    assert.equal(readout.text, '00:10:05');
+    assert.equal(readout.costTime, 10 * MINUTE + 5000);
+  });
+  
+  await t.test('设置了停车时长时显示剩余时间，费用按整个时长计算', () => {
+    const readout = ParkingCore.getTimerReadout(BASE, 30 * MINUTE, 2 * HOUR, BASE + 30 * MINUTE);
+    assert.equal(readout.text, '剩余 01:30:00');
+    assert.equal(readout.highlight, true);
+    assert.equal(readout.costTime, 2 * HOUR);
+    assert.equal(ParkingCore.getTimerReadout(BASE, 3 * HOUR, 2 * HOUR, BASE + 3 * HOUR).text, '剩余 00:00:00');
+  });
+  
+  await t.test('开始时间在未来时显示倒计时', () => {
+    const readout = ParkingCore.getTimerReadout(BASE + 2 * MINUTE, 0, 0, BASE);
+    assert.equal(readout.text, '倒计时 00:02:00');
+    assert.equal(readout.costTime, null);
+  });
+  
+  await t.test('停车超过一天时显示天数', () => {
+    const elapsed = 2 * 24 * HOUR + 3 * HOUR + 4 * MINUTE + 5000;
+    assert.equal(ParkingCore.getTimerReadout(BASE, elapsed, 0, BASE + elapsed).text, '2天 03:04:05');
+    assert.equal(ParkingCore.getTimerReadout(BASE, 24 * HOUR, 0, BASE + 24 * HOUR).text, '1天 00:00:00');
+    assert.equal(ParkingCore.formatDuration(26 * HOUR + 5 * MINUTE), '1天2小时5分钟');
+    assert.equal(ParkingCore.formatDuration(48 * HOUR), '2天');
+  });
+});
+
+// test.html 第2-5项：快捷时长
+test('快捷时长', async t => {
+  await t.test('默认规则的快捷时长包含免费时长和基础时长', () => {
+    const labels = ParkingCore.getQuickDurations(defaultRule()).map(duration => duration.label);
+    assert.equal(labels[0], '15分钟');
+    assert.equal(labels[1], '2小时');
+    assert.equal(labels[labels.length - 1], '清除');
+    assert.equal(labels.filter(label => label === '2小时').length, 1);
+  });
+  
+  await t.test('切换为写字楼规则后快捷时长随之更新', () => {
+    const office = ParkingCore.DEFAULT_PRESET_RULES.find(preset => preset.id === 'office');
+    const rule = ParkingCore.buildPresetRule(office.ruleString, office, defaultRule());
+    const labels = ParkingCore.getQuickDurations(rule).map(duration => duration.label);
+    assert.equal(labels[0], '30分钟');
+    assert.equal(labels[1], '1小时');
+    assert.equal(labels.filter(label => label === '1小时').length, 1);
+    assert.ok(labels.includes('2小时'));
+  });
+  
+  await t.test('多次点击累加时长，分钟满60进位', () => {
+    const oneHour = { hours: 1, minutes: 0 };
+    const halfHour = { hours: 0, minutes: 30 };
+    let current = { hours: 0, minutes: 0 };
+    current = ParkingCore.addQuickDuration(current, oneHour);
+    assert.deepEqual(current, { hours: 1, minutes: 0 });
+    current = ParkingCore.addQuickDuration(current, oneHour);
+    assert.deepEqual(current, { hours: 2, minutes: 0 });
+    current = ParkingCore.addQuickDuration(current, halfHour);
+    assert.deepEqual(current, { hours: 2, minutes: 30 });
+    current = ParkingCore.addQuickDuration(current, halfHour);
+    assert.deepEqual(current, { hours: 3, minutes: 0 });
+  });
+  
+  await t.test('"清除"把时长归零', () => {
+    assert.deepEqual(ParkingCore.addQuickDuration({ hours: 3, minutes: 15 }, { hours: 0, minutes: 0 }), { hours: 0, minutes: 0 });
+  });
+});
+
+// test-timer-fix.html / test-fix.html：开始、暂停、恢复和自定义开始时间
+test('计时事件', async t => {
+  await t.test('开始、暂停、恢复：暂停的时段不计时', () => {
+    const events = [
+      { type: 'start', at: BASE },
+      { type: 'pause', at: BASE + 20 * MINUTE },
+      { type: 'resume', at: BASE + 50 * MINUTE }
+    ];
+    
+    const paused = ParkingCore.getEventTiming(events.slice(0, 2), 'exclude', BASE + 30 * MINUTE);
+    assert.equal(paused.running, false);
+    assert.equal(paused.elapsed, 20 * MINUTE);
+    
+    const resumed = ParkingCore.getEventTiming(events, 'exclude', BASE + 60 * MINUTE);
+    assert.equal(resumed.running, true);
+    assert.equal(resumed.elapsed, 30 * MINUTE);
+    assert.equal(resumed.pausedMs, 30 * MINUTE);
+    assert.equal(resumed.billingStart, BASE + 30 * MINUTE);
+    assert.deepEqual(resumed.pauses, [{ from: BASE + 20 * MINUTE, to: BASE + 50 * MINUTE }]);
+  });
+  
+  await t.test('车场照常计费时暂停的时段也计入', () => {
+    const events = [{ type: 'start', at: BASE }, { type: 'pause', at: BASE + 20 * MINUTE }];
+    const timing = ParkingCore.getEventTiming(events, 'continue', BASE + 60 * MINUTE);
+    assert.equal(timing.elapsed, 60 * MINUTE);
+    assert.equal(timing.billingStart, BASE);
+  });
+  
+  await t.test('过去的开始时间：从设置的时间开始计时', () => {
+    const events = [{ type: 'start', at: BASE - 10 * MINUTE }];
+    const timing = ParkingCore.getEventTiming(events, 'exclude', BASE);
+    assert.equal(timing.running, true);
+    assert.equal(timing.elapsed, 10 * MINUTE);
+  });
+  
+  await t.test('未来的开始时间：到点之前不计时，到点后自动开始', () => {
+    const events = [{ type: 'start', at: BASE + 2 * MINUTE }];
+    assert.equal(ParkingCore.getEventTiming(events, 'exclude', BASE).startMs, null);
+    const timing = ParkingCore.getEventTiming(events, 'exclude', BASE + 3 * MINUTE);
+    assert.equal(timing.running, true);
+    assert.equal(timing.elapsed, MINUTE);
+  });
+  
+  await t.test('修改开始时间后，新开始时间之前的暂停不再计入', () => {
+    const events = [
+      { type: 'start', at: BASE },
+      { type: 'pause', at: BASE + 10 * MINUTE },
+      { type: 'resume', at: BASE + 20 * MINUTE },
+      { type: 'start-edit', at: BASE + 30 * MINUTE, from: BASE, to: BASE + 25 * MINUTE }
+    ];
+    const timing = ParkingCore.getEventTiming(events, 'exclude', BASE + 60 * MINUTE);
+    assert.equal(timing.pausedMs, 0);
+    assert.equal(timing.elapsed, 35 * MINUTE);
+  });
+  
+  await t.test('结束后时长不再增加', () => {
+    const events = [{ type: 'start', at: BASE }, { type: 'stop', at: BASE + HOUR }];
+    const timing = ParkingCore.getEventTiming(events, 'exclude', BASE + 5 * HOUR);
+    assert.equal(timing.running, false);
+    assert.equal(timing.elapsed, HOUR);
+  });
+  
+  await t.test('旧版本的会话按暂停区间补出事件日志', () => {
+    const session = {
+      startTime: new Date(BASE).toISOString(),
+      isRunning: true,
+      pauseSegments: [{ from: BASE + 10 * MINUTE, to: BASE + 40 * MINUTE }]
+    };
+    assert.deepEqual(ParkingCore.getSessionEvents(session).map(event => event.type), ['start', 'pause', 'resume']);
+    assert.equal(ParkingCore.getSessionTiming(session, BASE + HOUR).elapsed, 30 * MINUTE);
+  });
+  
+  await t.test('事件描述', () => {
+    assert.equal(ParkingCore.describeSessionEvent({ type: 'start', at: BASE }), '开始计时');
+    assert.equal(ParkingCore.describeSessionEvent({ type: 'extend', at: BASE, from: 0, to: 2 * HOUR }), '停车时长改为 2小时');
+    assert.equal(ParkingCore.describeSessionEvent({ type: 'extend', at: BASE, from: 2 * HOUR, to: 0 }), '取消停车时长');
+  });
+});
+
+test('计费', async t => {
+  await t.test('默认规则：免费时长内不收费，基础时长内收基础费用，超时按小时收费', () => {
+    const rule = defaultRule();
+    const cost = minutes => ParkingCore.calculateCostForRule(rule, minutes * MINUTE, BASE);
+    assert.equal(cost(10), 0);
+    assert.equal(cost(15), 0);
+    assert.equal(cost(16), 5);
+    assert.equal(cost(120), 5);
+    assert.equal(cost(121), 7);
+    assert.equal(cost(181), 9);
+  });
+  
+  await t.test('旧规则(包括基础时长为0)的费用与原来的算法相同', () => {
+    // 原来 index.html 中的 calculateCost
+    const baseline = (rule, minutes) => {
+      if (minutes <= rule.freeTime) return 0;
+      const hours = Math.ceil(minutes / 60);
+      if (hours <= rule.baseTime) return rule.baseCost;
+      return rule.baseCost + (hours - rule.baseTime) * rule.overtimeCost;
+    };
+    [
+      { freeTime: 0, baseTime: 0, baseCost: 5, overtimeCost: 2 },
+      { freeTime: 30, baseTime: 0, baseCost: 5, overtimeCost: 2 },
+      { freeTime: 15, baseTime: 0, baseCost: 8, overtimeCost: 0 },
+      { freeTime: 15, baseTime: 2, baseCost: 5, overtimeCost: 2 },
+      { freeTime: 0, baseTime: 0, baseCost: 0, overtimeCost: 3 }
+    ].forEach(rule => {
+      [1, 29, 31, 60, 61, 120, 121, 600].forEach(minutes => {
+        assert.equal(ParkingCore.calculateCostForRule(rule, minutes * MINUTE, BASE), baseline(rule, minutes), `${JSON.stringify(rule)} ${minutes}分钟`);
+      });
+    });
+    
+    const rule = { freeTime: 0, baseTime: 0, baseCost: 5, overtimeCost: 2 };
+    assert.equal(ParkingCore.calculateCostForRule(rule, 2 * HOUR, BASE), 9);
+    assert.equal(ParkingCore.calculateCostForRule(ParkingCore.parseRuleString(ParkingCore.ruleToRuleString(rule)), 2 * HOUR, BASE), 9);
+  });
+  
+  await t.test('长时间停车按分钟计费时计算整个时长', () => {
+    const rule = ParkingCore.parseRuleString('0min-free,0.1y-per-1min');
+    assert.equal(ParkingCore.calculateCostForRule(rule, 100 * DAY, BASE), 14400);
+    
+    const night = ParkingCore.parseRuleString('0min-free,0.1y-per-1min,夜间(20:00-08:00;0.05y-per-1min)');
+    assert.equal(ParkingCore.calculateCostForRule(night, 100 * DAY, BASE), 100 * (12 * 60 * 0.1 + 12 * 60 * 0.05));
+  });
+  
+  await t.test('价格变化点', () => {
+    const changes = ParkingCore.getPriceChanges(defaultRule(), BASE, 0).slice(0, 3);
+    assert.deepEqual(changes, [15 * MINUTE, 2 * HOUR, 3 * HOUR]);
+  });
+  
+  await t.test('分时段价格和封顶', () => {
+    const rule = ParkingCore.parseRuleString('15min-free,1h-10y,3y-per-30min-until-3h,5y-per-hour,cap-40y,夜间(20:00-08:00;1y-per-hour;cap-10y)');
+    assert.equal(ParkingCore.calculateCostForRule(rule, 10 * HOUR, BASE), 40);
+    assert.equal(ParkingCore.calculateCostForRule(rule, 2 * HOUR, new Date(2026, 9, 19, 21, 0).getTime()), 2);
+  });
+});
+
+test('规则字符串', async t => {
+  await t.test('解析后再生成的规则字符串与原来相同', () => {
+    [
+      '15min-free,2h-5y,2y-per-hour',
+      '30min-free,1h-3y,3y-per-hour',
+      '0min-free,12y-per-hour',
+      '15min-free,1h-10y,3y-per-30min-until-3h,5y-per-hour,cap-40y,夜间(20:00-08:00;1y-per-hour;cap-10y)',
+      '0min-free,10y-per-visit',
+      '10min-free,2y-per-15min,cap-30y-per-day'
+    ].forEach(ruleString => {
+      assert.equal(ParkingCore.ruleToRuleString(ParkingCore.parseRuleString(ruleString)), ruleString);
+    });
+  });
+  
+  await t.test('无效的规则字符串抛出说明错误', () => {
+    assert.throws(() => ParkingCore.parseRuleString(''), /规则字符串为空/);
+    assert.throws(() => ParkingCore.parseRuleString('abc'), /第1段 "abc"无法识别/);
+  });
+  
+  await t.test('由常用规则生成计费规则时保留当前的费用提醒和暂停计费方式', () => {
+    const current = Object.assign(defaultRule(), { costAlert: 20, pauseMode: 'continue', reminderStages: [{ minutes: 5, level: 'urgent' }] });
+    const mall = ParkingCore.DEFAULT_PRESET_RULES.find(preset => preset.id === 'mall');
+    const rule = ParkingCore.buildPresetRule(mall.ruleString, mall, current);
+    assert.equal(rule.freeTime, 15);
+    assert.equal(rule.costAlert, 20);
+    assert.equal(rule.pauseMode, 'continue');
+    assert.deepEqual(rule.reminderStages, [{ minutes: 5, level: 'urgent' }]);
+    
+    const withStages = Object.assign({}, mall, { reminderStages: [{ minutes: 15, level: 'gentle' }] });
+    assert.deepEqual(ParkingCore.buildPresetRule(mall.ruleString, withStages, current).reminderStages, [{ minutes: 15, level: 'gentle' }]);
+    assert.throws(() => ParkingCore.buildPresetRule('abc', mall, current));
+  });
+  
+  await t.test('旧格式的常用规则迁移为规则字符串', () => {
+    const legacy = { id: 'old', name: '旧规则', freeTime: 30, baseTime: 1, baseCost: 3, overtimeCost: 3 };
+    const migrated = ParkingCore.migratePresetRule(legacy);
+    assert.equal(migrated.ruleString, '30min-free,1h-3y,3y-per-hour');
+    assert.equal(ParkingCore.migratePresetRule(migrated), migrated);
+  });
+});
+
+test('提醒', async t => {
+  const stagedRule = Object.assign(defaultRule(), {
+    reminderStages: [{ minutes: 15, level: 'gentle' }, { minutes: 5, level: 'urgent' }]
+  });
+  
+  await t.test('下一次提醒在价格变化点前最早的一个提醒阶段', () => {
+    assert.equal(ParkingCore.getNextReminderTime(defaultRule(), BASE, 0), BASE + 5 * MINUTE);
+    assert.equal(ParkingCore.getNextReminderTime(stagedRule, BASE, 0), BASE + 10 * MINUTE);
+    assert.equal(ParkingCore.getNextReminderTime(stagedRule, BASE, 20 * MINUTE), BASE + 105 * MINUTE);
+  });
+  
+  await t.test('提醒阶段的检查', () => {
+    assert.equal(ParkingCore.validateReminderStages([{ minutes: 5, level: 'normal' }]), null);
+    assert.match(ParkingCore.validateReminderStages([{ minutes: 5, level: 'normal' }, { minutes: 5, level: 'urgent' }]), /不能重复/);
+    assert.match(ParkingCore.validateReminderStages([{ minutes: 0, level: 'normal' }]), /1-60分钟/);
+    assert.equal(ParkingCore.describeReminderStages(stagedRule), '提前15、5分钟提醒');
+  });
+  
+  await t.test('提醒计划按阶段生成，暂停后整体顺延', () => {
+    const session = createSession({ rules: stagedRule });
+    const schedule = ParkingCore.buildSessionReminderSchedule(session, BASE + MINUTE).filter(item => item.kind === 'reminder');
+    assert.equal(schedule[0].at, BASE + 10 * MINUTE);
+    assert.equal(schedule[0].stage.level, 'urgent');
+    assert.equal(schedule[1].at, BASE + 105 * MINUTE);
+    assert.equal(schedule[1].stage.level, 'gentle');
+    
+    session.events.push({ type: 'pause', at: BASE + 2 * MINUTE }, { type: 'resume', at: BASE + 32 * MINUTE });
+    const shifted = ParkingCore.buildSessionReminderSchedule(session, BASE + 33 * MINUTE).filter(item => item.kind === 'reminder');
+    assert.equal(shifted[0].at, BASE + 40 * MINUTE);
+  });
+  
+  await t.test('只有提醒阶段没有 reminderAdvance 时，费用提醒按最早一次提醒提前', () => {
+    const rule = Object.assign(defaultRule(), { costAlert: 6, reminderStages: [{ minutes: 5, level: 'urgent' }, { minutes: 15, level: 'gentle' }] });
+    delete rule.reminderAdvance;
+    const session = createSession({ rules: rule });
+    assert.equal(ParkingCore.getMoneyAlertLead(rule), 15);
+    assert.equal(ParkingCore.buildCostAlert(session, BASE + MINUTE).at, BASE + 105 * MINUTE);
+    assert.equal(ParkingCore.getMoneyAlertLead(Object.assign({}, rule, { reminderStages: [] })), 0);
+  });
+  
+  await t.test('定时器延迟不超过 setTimeout 的上限，已经到期的立即触发', () => {
+    assert.equal(ParkingCore.getTimerDelay(BASE + 5 * MINUTE, BASE), 5 * MINUTE);
+    assert.equal(ParkingCore.getTimerDelay(BASE + 30 * DAY, BASE), 2147483647);
+    assert.equal(ParkingCore.getTimerDelay(BASE - MINUTE, BASE), 0);
+  });
+});
+
+test('常驻通知', async t => {
+  const session = () => createSession({ rules: ParkingCore.parseRuleString('15min-free,3y-per-hour') });
+  
+  await t.test('显示已停时长、当前费用和下一次涨价，角标为剩余分钟数', () => {
+    const status = ParkingCore.buildLiveStatus(session(), BASE + 100 * MINUTE);
+    assert.equal(status.title, '我的车停车中');
+    assert.equal(status.body, '已停1小时40分钟，当前¥6.00\n20分钟后涨到¥9.00');
+    assert.equal(status.badge, 20);
+    assert.equal(status.startMs, BASE);
+  });
+  
+  await t.test('停车时长先结束时角标按停车时长计算', () => {
+    const status = ParkingCore.buildLiveStatus(Object.assign(session(), { totalDuration: 90 * MINUTE }), BASE + 70 * MINUTE - 20000);
+    assert.equal(status.body.split('\n')[2], '停车时长还剩21分钟');
+    assert.equal(status.badge, 21);
+  });
+  
+  await t.test('暂停且不计费时没有角标，没有开始时没有通知', () => {
+    const paused = Object.assign(session(), { isRunning: false });
+    paused.events.push({ type: 'pause', at: BASE + 80 * MINUTE });
+    const status = ParkingCore.buildLiveStatus(paused, BASE + 100 * MINUTE);
+    assert.equal(status.title, '我的车已暂停');
+    assert.equal(status.badge, null);
+    assert.equal(ParkingCore.buildLiveStatus(Object.assign(session(), { startTime: null, events: [] }), BASE), null);
+  });
+  
+  await t.test('金额使用设置的币种', t => {
+    t.after(() => ParkingI18n.setCurrency('CNY'));
+    ParkingI18n.setCurrency('HKD');
+    assert.equal(ParkingCore.buildLiveStatus(session(), BASE + 100 * MINUTE).body, '已停1小时40分钟，当前HK$6.00\n20分钟后涨到HK$9.00');
+    ParkingI18n.setCurrency('EUR');
+    assert.equal(ParkingCore.buildLiveStatus(session(), BASE + 100 * MINUTE).body, '已停1小时40分钟，当前€6.00\n20分钟后涨到€9.00');
+  });
+});
+
+test('停车限制', async t => {
+  // BASE 为周一 09:00
+  const limitedRule = () => Object.assign(ParkingCore.parseRuleString('0min-free,2y-per-hour,max-2h,no-parking-07:00-09:00,no-parking-tue-08:00-10:00'), {
+    reminderStages: [{ minutes: 15, level: 'gentle' }, { minutes: 5, level: 'urgent' }]
+  });
+  
+  await t.test('最长停放和禁停时段写入规则字符串', () => {
+    [
+      '0min-free,2y-per-hour,max-2h,no-parking-07:00-09:00,no-parking-tue-08:00-10:00',
+      '15min-free,2h-5y,2y-per-hour,max-1h30min,no-parking-mon+fri-22:00-06:00'
+    ].forEach(ruleString => {
+      assert.equal(ParkingCore.ruleToRuleString(ParkingCore.parseRuleString(ruleString)), ruleString);
+    });
+    
+    const rule = limitedRule();
+    assert.equal(rule.maxStay, 120);
+    assert.deepEqual(rule.restrictions[1], { days: [2], from: '08:00', to: '10:00' });
+    assert.equal(ParkingCore.generateRuleDescription(rule), '无免费，¥2/小时，限停2小时，每天 07:00-09:00、周二 08:00-10:00禁停');
+    assert.deepEqual(ParkingCore.describeParkingLimits(rule), ['最长停放2小时', '禁停：每天 07:00-09:00', '禁停：周二 08:00-10:00']);
+    assert.deepEqual(ParkingCore.describeParkingLimits(defaultRule()), []);
+    
+    assert.throws(() => ParkingCore.parseRuleString('2y-per-hour,max-abc'), /最长停放时长 "abc" 无效/);
+    assert.throws(() => ParkingCore.parseRuleString('2y-per-hour,no-parking-mon+xyz-07:00-09:00'), /星期 "mon\+xyz" 无效/);
+    assert.throws(() => ParkingCore.parseRuleString('2y-per-hour,no-parking-07:00-25:00'), /HH:MM-HH:MM/);
+  });
+  
+  await t.test('入场时、此刻和之后的禁停时段', () => {
+    const rule = limitedRule();
+    const limits = ParkingCore.getParkingLimits(rule, BASE - 30 * MINUTE, BASE - 10 * MINUTE);
+    assert.equal(limits.maxStayAt, BASE + 90 * MINUTE);
+    assert.equal(limits.startedIn.start, BASE - 2 * HOUR);
+    assert.equal(limits.current.end, BASE);
+    assert.equal(limits.next.start, BASE + 22 * HOUR);
+    
+    // 09:00 禁停结束，第二天(周二)07:00 起两个时段相连
+    const later = ParkingCore.getParkingLimits(rule, BASE, BASE + HOUR);
+    assert.equal(later.startedIn, null);
+    assert.equal(later.current, null);
+    assert.deepEqual(ParkingCore.getRestrictionWindows(rule, BASE, BASE + DAY).map(window => window.start), [BASE + 22 * HOUR, BASE + 23 * HOUR]);
+    
+    // 跨零点的时段属于开始的那一天
+    const night = ParkingCore.parseRuleString('2y-per-hour,no-parking-mon-22:00-06:00');
+    assert.notEqual(ParkingCore.getParkingLimits(night, BASE + 17 * HOUR, BASE + 17 * HOUR).current, null);
+    assert.equal(ParkingCore.getParkingLimits(night, BASE - 7 * HOUR, BASE - 7 * HOUR).current, null);
+  });
+  
+  await t.test('到达限制前按提醒阶段提醒，没有提醒阶段时仍提前提醒一次', () => {
+    const session = createSession({ rules: limitedRule() });
+    const limits = ParkingCore.buildSessionReminderSchedule(session, BASE + MINUTE).filter(item => item.kind === 'limit');
+    assert.deepEqual(limits.map(item => item.at), [
+      BASE + 105 * MINUTE, BASE + 115 * MINUTE,
+      BASE + 22 * HOUR - 15 * MINUTE, BASE + 22 * HOUR - 5 * MINUTE,
+      BASE + 23 * HOUR - 15 * MINUTE, BASE + 23 * HOUR - 5 * MINUTE
+    ]);
+    assert.equal(limits[0].changeAt, BASE + 2 * HOUR);
+    assert.match(limits[1].body, /我的车将在 .*11:00 停满最长停放时长 2小时，还有 5 分钟/);
+    
+    // 暂停不影响最长停放的截止时间
+    session.events.push({ type: 'pause', at: BASE + 2 * MINUTE }, { type: 'resume', at: BASE + 32 * MINUTE });
+    assert.equal(ParkingCore.buildSessionReminderSchedule(session, BASE + 33 * MINUTE).find(item => item.kind === 'limit').at, BASE + 105 * MINUTE);
+    
+    session.rules.reminderStages = [];
+    const fallback = ParkingCore.buildSessionReminderSchedule(session, BASE + 33 * MINUTE).filter(item => item.kind === 'limit');
+    assert.equal(fallback[0].at, BASE + 110 * MINUTE);
+    assert.equal(fallback[0].stage.level, 'urgent');
+  });
+});
+
+test('日历导出', async t => {
+  const calendarSession = () => createSession({
+    rules: Object.assign(ParkingCore.parseRuleString('15min-free,2h-5y,2y-per-hour,max-3h'), {
+      reminderStages: [{ minutes: 10, level: 'normal' }, { minutes: 2, level: 'urgent' }]
+    }),
+    totalDuration: 90 * MINUTE,
+    spot: { note: 'B2-A-113, 靠近电梯', coords: { latitude: 31.23, longitude: 121.47 } }
+  });
+  const uidsOf = ics => ics.match(/^UID:.*$/gm).map(line => line.slice(4));
+  
+  await t.test('价格变化点、停车限制、停车时长结束和稍后提醒各为一个事件，提醒阶段为 VALARM', () => {
+    const snoozes = [{ id: 'snooze-1', sessionId: 'car', at: BASE + 5 * MINUTE, title: '停车提醒 - 我的车' }, { id: 'snooze-2', sessionId: 'other', at: BASE + 5 * MINUTE }];
+    const { ics, uids } = ParkingCore.buildSessionCalendar(calendarSession(), BASE + MINUTE, { snoozes: snoozes });
+    
+    assert.deepEqual(uids.slice(0, 4), [`car-${BASE}-snooze-1`, `car-${BASE}-price-1`, `car-${BASE}-duration-end`, `car-${BASE}-price-2`]);
+    assert.ok(uids.includes(`car-${BASE}-max-stay`));
+    assert.ok(!uids.some(uid => uid.includes('snooze-2')));
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(ics.includes(`DTSTART:${new Date(BASE + 15 * MINUTE).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`));
+    assert.ok(ics.includes('TRIGGER:-PT10M\r\n'));
+    assert.ok(ics.includes('GEO:31.23;121.47'));
+    assert.match(ics.replace(/\r\n /g, ''), /停车位置：B2-A-113\\, 靠近电梯/);
+    // 折行后每行不超过75字节
+    ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  });
+  
+  await t.test('修改规则和开始时间后 UID 不变，不再存在的事件被取消', () => {
+    const session = calendarSession();
+    const first = ParkingCore.buildSessionCalendar(session, BASE + MINUTE);
+    
+    session.rules = ParkingCore.parseRuleString('0min-free,3y-per-hour');
+    session.totalDuration = 0;
+    session.events.push({ type: 'start-edit', at: BASE + 2 * MINUTE, from: BASE, to: BASE - 30 * MINUTE });
+    session.startTime = new Date(BASE - 30 * MINUTE).toISOString();
+    const second = ParkingCore.buildSessionCalendar(session, BASE + 3 * MINUTE, { previousUids: first.uids });
+    
+    assert.equal(second.uids[0], `car-${BASE}-price-2`);
+    assert.match(second.ics, /^METHOD:PUBLISH$/m);
+    assert.deepEqual(uidsOf(second.ics), second.uids.map(uid => `${uid}@parking-timer`));
+    
+    // 不再有的事件放在单独的取消日历中，版本号比同时导出的事件大
+    const cancelled = first.uids.filter(uid => !second.uids.includes(uid));
+    assert.ok(cancelled.includes(`car-${BASE}-duration-end`));
+    assert.match(second.cancellation, /^METHOD:CANCEL$/m);
+    assert.deepEqual(uidsOf(second.cancellation), cancelled.map(uid => `${uid}@parking-timer`));
+    assert.equal((second.cancellation.match(/STATUS:CANCELLED/g) || []).length, cancelled.length);
+    const sequences = ics => (ics.match(/^SEQUENCE:\d+$/gm) || []).map(line => Number(line.slice(9)));
+    assert.ok(sequences(second.cancellation).every(sequence => sequence === sequences(second.ics)[0] + 1));
+    assert.ok(sequences(second.ics)[0] > sequences(first.ics)[0]);
+    assert.equal(ParkingCore.buildSessionCalendar(session, BASE + 3 * MINUTE, { previousUids: second.uids }).cancellation, null);
+    
+    const removed = ParkingCore.buildCalendarCancellation(second.uids, BASE + 4 * MINUTE, '我的车');
+    assert.match(removed, /^METHOD:CANCEL$/m);
+    assert.equal((removed.match(/STATUS:CANCELLED/g) || []).length, second.uids.length);
+  });
+});
+
+test('分享', async t => {
+  const sharedSession = () => createSession({
+    isRunning: false,
+    rules: Object.assign(ParkingCore.parseRuleString('15min-free,2h-5y,2y-per-hour,max-3h'), { pauseMode: 'continue' }),
+    totalDuration: 90 * MINUTE,
+    events: [
+      { type: 'start', at: BASE },
+      { type: 'pause', at: BASE + 20 * MINUTE },
+      { type: 'resume', at: BASE + 30 * MINUTE },
+      { type: 'pause', at: BASE + 50 * MINUTE }
+    ],
+    spot: { note: 'B2-A-113', coords: { latitude: 31.230416, longitude: 121.473701, accuracy: 12.4 }, photoId: 'photo' }
+  });
+  const toSession = shared => ({
+    id: 'copy',
+    name: shared.name,
+    startTime: new Date(shared.startMs).toISOString(),
+    isRunning: shared.running,
+    rules: shared.rule,
+    totalDuration: shared.totalDuration,
+    events: shared.events
+  });
+  
+  await t.test('链接片段还原出同样的计时、费用和提醒', () => {
+    const session = sharedSession();
+    const fragment = ParkingCore.encodeShareFragment(session, BASE + HOUR);
+    assert.match(fragment, /^#share=[A-Za-z0-9_-]+$/);
+    
+    const shared = ParkingCore.parseShareFragment(fragment);
+    assert.equal(shared.name, '我的车');
+    assert.equal(shared.running, false);
+    assert.equal(shared.note, 'B2-A-113');
+    assert.deepEqual(shared.coords, { latitude: 31.23042, longitude: 121.4737, accuracy: 12 });
+    assert.equal(shared.key, `${BASE}-我的车`);
+    
+    const copy = toSession(shared);
+    [BASE + HOUR, BASE + 3 * HOUR].forEach(at => {
+      assert.deepEqual(ParkingCore.getSessionTiming(copy, at), ParkingCore.getSessionTiming(session, at));
+      assert.equal(ParkingCore.sessionCostAt(copy, at), ParkingCore.sessionCostAt(session, at));
+    });
+    const reminderTimes = item => ParkingCore.buildSessionReminderSchedule(item, BASE + HOUR).map(reminder => reminder.at);
+    assert.deepEqual(reminderTimes(copy), reminderTimes(session));
+  });
+  
+  await t.test('修改过开始时间时按新的开始时间分享，之前的暂停不计入', () => {
+    const session = sharedSession();
+    session.rules.pauseMode = 'exclude';
+    session.events.push({ type: 'resume', at: BASE + HOUR }, { type: 'start-edit', at: BASE + HOUR, from: BASE, to: BASE + 25 * MINUTE });
+    session.startTime = new Date(BASE + 25 * MINUTE).toISOString();
+    
+    const shared = ParkingCore.parseShareFragment(ParkingCore.encodeShareFragment(session, BASE + 2 * HOUR));
+    assert.equal(shared.startMs, BASE + 25 * MINUTE);
+    assert.equal(shared.running, true);
+    assert.equal(ParkingCore.getSessionTiming(toSession(shared), BASE + 2 * HOUR).elapsed, ParkingCore.getSessionTiming(session, BASE + 2 * HOUR).elapsed);
+  });
+  
+  await t.test('没有开始时间的会话不能分享', () => {
+    const session = Object.assign(sharedSession(), { startTime: null, events: [] });
+    assert.equal(ParkingCore.encodeShareFragment(session, BASE), null);
+  });
+  
+  await t.test('无效的链接给出原因', () => {
+    const encode = payload => `#share=${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+    const valid = { v: 1, n: '我的车', s: BASE, r: '0min-free,3y-per-hour', d: 0 };
+    
+    assert.equal(ParkingCore.parseShareFragment(''), null);
+    assert.equal(ParkingCore.parseShareFragment('#history'), null);
+    assert.ok(ParkingCore.parseShareFragment(encode(valid)));
+    assert.throws(() => ParkingCore.parseShareFragment('#share=%%%'), { message: ParkingI18n.t('share.error.format') });
+    assert.throws(() => ParkingCore.parseShareFragment(encode([1])), { message: ParkingI18n.t('share.error.format') });
+    assert.throws(() => ParkingCore.parseShareFragment(encode({ ...valid, v: 2 })), { message: ParkingI18n.t('share.error.newerVersion') });
+    assert.throws(() => ParkingCore.parseShareFragment(encode({ ...valid, s: 'yesterday' })), { message: ParkingI18n.t('share.error.field', { field: 's' }) });
+    assert.throws(() => ParkingCore.parseShareFragment(encode({ ...valid, c: [91, 0, 5] })), { message: ParkingI18n.t('share.error.field', { field: 'c' }) });
+    // 暂停区间重叠或未结束的暂停不在最后
+    assert.throws(() => ParkingCore.parseShareFragment(encode({ ...valid, p: [[0, 600000], [300000, 900000]] })), { message: ParkingI18n.t('share.error.field', { field: 'p' }) });
+    assert.throws(() => ParkingCore.parseShareFragment(encode({ ...valid, p: [[0, null], [600000, 900000]] })), { message: ParkingI18n.t('share.error.field', { field: 'p' }) });
+    assert.throws(() => ParkingCore.parseShareFragment(encode({ ...valid, r: '3y-per-fortnight' })), { message: /^链接中的计费规则无效/ });
+  });
+});
+
+test('优惠', async t => {
+  const rule = ParkingCore.parseRuleString('15min-free,3y-per-hour');
+  const mallDiscounts = [
+    { id: 'cap', type: 'cap', value: 4 },
+    { id: 'member', type: 'percent', value: 50, label: '会员' },
+    { id: 'free', type: 'free-time', value: 60, minSpend: 100 }
+  ];
+  const context = (discounts, spend = 0) => ({ discounts: discounts, spend: spend, enteredAt: BASE });
+  
+  await t.test('按免时长、比例、封顶的顺序计算，条件不满足的不减免', () => {
+    assert.deepEqual(ParkingCore.applyDiscounts(rule, 2 * HOUR, BASE, context(mallDiscounts, 200)), {
+      gross: 6,
+      discount: 4.5,
+      net: 1.5,
+      applied: [{ id: 'free', amount: 3 }, { id: 'member', amount: 1.5 }, { id: 'cap', amount: 0 }]
+    });
+    assert.equal(ParkingCore.applyDiscounts(rule, 5 * HOUR, BASE, context(mallDiscounts, 200)).net, 4);
+    // 消费金额不够，只有折扣和封顶
+    assert.equal(ParkingCore.applyDiscounts(rule, 2 * HOUR, BASE, context(mallDiscounts, 50)).net, 3);
+    // 停满时长和入场星期的条件(BASE 为周一)
+    assert.equal(ParkingCore.applyDiscounts(rule, HOUR, BASE, context([{ id: 'a', type: 'amount', value: 5, minMinutes: 90 }])).net, 3);
+    assert.equal(ParkingCore.applyDiscounts(rule, 2 * HOUR, BASE, context([{ id: 'a', type: 'amount', value: 5, minMinutes: 90 }])).net, 1);
+    assert.equal(ParkingCore.applyDiscounts(rule, 2 * HOUR, BASE, context([{ id: 'a', type: 'amount', value: 5, days: [6, 0] }])).net, 6);
+    assert.equal(ParkingCore.applyDiscounts(rule, HOUR, BASE, context([{ id: 'a', type: 'amount', value: 5 }])).net, 0);
+  });
+  
+  await t.test('优惠的检查和描述', () => {
+    assert.equal(ParkingCore.validateDiscount({ type: 'percent', value: 20 }), null);
+    assert.equal(ParkingCore.validateDiscount({ type: 'percent', value: 120 }), ParkingI18n.t('discount.valueInvalid.percent'));
+    assert.equal(ParkingCore.validateDiscount({ type: 'coupon', value: 5 }), ParkingI18n.t('discount.typeInvalid'));
+    assert.equal(ParkingCore.validateDiscount({ type: 'amount', value: 5, minMinutes: 1.5 }), ParkingI18n.t('discount.conditionInvalid'));
+    assert.equal(ParkingCore.describeDiscount({ type: 'free-time', value: 120, minSpend: 200, label: '万达' }), '万达 免2小时(消费满¥200)');
+  });
+  
+  await t.test('价格变化点和提醒按实付计算', () => {
+    assert.deepEqual(ParkingCore.getNetPriceChanges(rule, BASE, 0, 5 * HOUR, context(mallDiscounts, 200)), [75 * MINUTE, 2 * HOUR, 3 * HOUR]);
+    assert.deepEqual(ParkingCore.getNetPriceChanges(rule, BASE, 0, 5 * HOUR, context([])), ParkingCore.getPriceChanges(rule, BASE, 0, 5 * HOUR));
+    assert.equal(ParkingCore.getNextReminderTime(rule, BASE, 0, context(mallDiscounts, 200)), BASE + 65 * MINUTE);
+    
+    const session = createSession({ rules: rule, discounts: mallDiscounts, spend: 200 });
+    assert.equal(ParkingCore.sessionCostAt(session, BASE + 2 * HOUR), 1.5);
+    assert.deepEqual(ParkingCore.sessionCostBreakdownAt(session, BASE + 2 * HOUR).gross, 6);
+    const reminders = ParkingCore.buildSessionReminderSchedule(session, BASE).filter(item => item.kind === 'reminder');
+    assert.equal(reminders[0].at, BASE + 65 * MINUTE);
+  });
+  
+  await t.test('分享链接带上优惠和消费金额', () => {
+    const session = createSession({ rules: rule, discounts: mallDiscounts, spend: 200 });
+    const shared = ParkingCore.parseShareFragment(ParkingCore.encodeShareFragment(session, BASE + HOUR));
+    assert.equal(shared.spend, 200);
+    assert.deepEqual(shared.discounts.map(ParkingCore.describeDiscount), mallDiscounts.map(ParkingCore.describeDiscount));
+    const copy = Object.assign({}, session, { discounts: shared.discounts, spend: shared.spend });
+    assert.equal(ParkingCore.sessionCostAt(copy, BASE + 3 * HOUR), ParkingCore.sessionCostAt(session, BASE + 3 * HOUR));
+  });
+});
+
+test('停车场', async t => {
+  const here = { latitude: 31.23, longitude: 121.47, accuracy: 10 };
+  const lot = (id, latitude, extra = {}) => ({
+    id: id,
+    name: id,
+    ruleString: '15min-free,2h-5y,2y-per-hour',
+    isDefault: false,
+    lot: { address: '', coords: { latitude: latitude, longitude: 121.47 }, radius: 200, hours: '', notes: '', ...extra }
+  });
+  
+  await t.test('在范围内时找到最近的停车场，定位误差计入范围', () => {
+    // 纬度相差0.001度约111米
+    const presets = [lot('far', 31.233), lot('near', 31.2311), ParkingCore.DEFAULT_PRESET_RULES[0]];
+    const nearest = ParkingCore.findNearestLot(presets, here);
+    assert.equal(nearest.preset.id, 'near');
+    assert.ok(Math.abs(nearest.distance - 122) < 2);
+    
+    assert.equal(ParkingCore.findNearestLot([lot('edge', 31.2325)], here), null);
+    assert.equal(ParkingCore.findNearestLot([lot('edge', 31.2325)], { ...here, accuracy: 100 }).preset.id, 'edge');
+  });
+  
+  await t.test('营业时间：跨夜的时段和全天开放', () => {
+    assert.equal(ParkingCore.parseLotHours(''), null);
+    assert.deepEqual(ParkingCore.parseLotHours('07:00-23:30'), { from: 420, to: 1410 });
+    assert.throws(() => ParkingCore.parseLotHours('7点到23点'), /HH:MM-HH:MM/);
+    
+    const day = lot('day', 31.23, { hours: '07:00-23:00' }).lot;
+    const night = lot('night', 31.23, { hours: '22:00-06:00' }).lot;
+    assert.equal(ParkingCore.isLotOpen(day, BASE), true);
+    assert.equal(ParkingCore.isLotOpen(day, BASE - 3 * HOUR), false);
+    assert.equal(ParkingCore.isLotOpen(night, BASE), false);
+    assert.equal(ParkingCore.isLotOpen(night, BASE - 4 * HOUR), true);
+    assert.equal(ParkingCore.isLotOpen(lot('all', 31.23).lot, BASE), true);
+  });
+  
+  await t.test('停车记录按停车位置归属停车场，没有位置时按唯一相同的规则', () => {
+    const presets = [lot('A', 31.2311), lot('B', 31.3)];
+    assert.deepEqual(ParkingCore.findLotForRecord(presets, { spot: { coords: here }, ruleString: '5y-per-hour' }), { id: 'A', name: 'A' });
+    assert.equal(ParkingCore.findLotForRecord(presets, { spot: null, ruleString: '15min-free,2h-5y,2y-per-hour' }), null);
+    assert.deepEqual(ParkingCore.findLotForRecord(presets.slice(1), { spot: null, ruleString: '15min-free,2h-5y,2y-per-hour' }), { id: 'B', name: 'B' });
+  });
+});
+
+test('收费核对', async t => {
+  const record = (startTime, cost, paid, ruleString = '1h-10y,5y-per-hour') => ({
+    id: `${startTime}`,
+    startTime: startTime,
+    endTime: startTime + HOUR,
+    cost: cost,
+    ruleString: ruleString,
+    receipt: paid === undefined ? undefined : { paid: paid, photoId: null, at: startTime + HOUR }
+  });
+  
+  await t.test('实付与计算的费用相差超过容差时标出多付或少付', () => {
+    assert.equal(ParkingCore.reconcileReceipt(record(BASE, 10)), null);
+    assert.deepEqual(ParkingCore.reconcileReceipt(record(BASE, 10, 11)), { cost: 10, paid: 11, difference: 1, status: 'match' });
+    assert.equal(ParkingCore.reconcileReceipt(record(BASE, 10, 15)).status, 'overcharged');
+    assert.equal(ParkingCore.reconcileReceipt(record(BASE, 10, 8.5)).status, 'undercharged');
+    assert.equal(ParkingCore.reconcileReceipt(record(BASE, 10, 10.2), 0).status, 'overcharged');
+    assert.equal(ParkingCore.reconcileReceipt(record(BASE, 10.1, 10.3), 0.2).difference, 0.2);
+    assert.equal(ParkingCore.reconcileReceipt(record(BASE, 10.1, 10.3), 0.2).status, 'match');
+  });
+  
+  await t.test('核对报告按规则汇总，多付多的规则在前，差异按时间排列', () => {
+    const report = ParkingCore.buildReceiptReport([
+      record(BASE + 2 * HOUR, 10, 20),
+      record(BASE, 10, 15),
+      record(BASE, 10, 10),
+      record(BASE, 10),
+      record(BASE, 5, 6, '5y-per-hour'),
+      record(BASE, 5, 2, '5y-per-hour')
+    ]);
+    
+    assert.deepEqual(report.map(group => group.ruleString), ['1h-10y,5y-per-hour', '5y-per-hour']);
+    assert.equal(report[0].checked, 3);
+    assert.equal(report[0].overcharged, 15);
+    assert.deepEqual(report[0].discrepancies.map(item => item.difference), [5, 10]);
+    assert.equal(report[1].checked, 2);
+    assert.equal(report[1].overcharged, 0);
+    assert.deepEqual(report[1].discrepancies.map(item => item.status), ['undercharged']);
+  });
+  
+  await t.test('规则相同的停车场分开汇总', () => {
+    const report = ParkingCore.buildReceiptReport([
+      { ...record(BASE, 10, 20), lot: { id: 'A', name: 'A' } },
+      { ...record(BASE, 10, 12), lot: { id: 'B', name: 'B' } },
+      record(BASE, 10, 10)
+    ]);
+    assert.deepEqual(report.map(group => group.lot && group.lot.id), ['A', 'B', null]);
+    assert.deepEqual(report.map(group => group.overcharged), [10, 2, 0]);
+  });
+});
+
+test('数据存储', async t => {
+  await t.test('会话保存后可以读回', () => {
+    const { core, storage } = createCore();
+    const session = core.createSession('我的车', defaultRule());
+    session.startTime = new Date(BASE).toISOString();
+    session.isRunning = true;
+    session.events.push({ type: 'start', at: BASE });
+    core.saveSessions(session.id, [session]);
+    
+    const loaded = ParkingCore.create({ now: () => BASE + HOUR, storage: storage }).loadSessions(defaultRule());
+    assert.equal(loaded.activeId, session.id);
+    assert.deepEqual(loaded.sessions, [session]);
+  });
+  
+  await t.test('会话的计费规则是副本', () => {
+    const { core } = createCore();
+    const rule = defaultRule();
+    const session = core.createSession('我的车', rule);
+    rule.baseCost = 99;
+    assert.equal(session.rules.baseCost, 5);
+    assert.equal(session.timestamp, BASE);
+  });
+  
+  await t.test('没有会话时新建一个默认会话', () => {
+    const { core } = createCore();
+    const loaded = core.loadSessions(defaultRule());
+    assert.equal(loaded.sessions.length, 1);
+    assert.equal(loaded.sessions[0].name, ParkingCore.getDefaultSessionName());
+    assert.equal(loaded.activeId, loaded.sessions[0].id);
+  });
+  
+  await t.test('旧版本的单个计时迁移为会话', () => {
+    const { core, storage } = createCore({
+      parkingTimer: { startTime: new Date(BASE - HOUR).toISOString(), isRunning: false, pausedTime: 20 * MINUTE, timestamp: BASE }
+    });
+    const loaded = core.loadSessions(defaultRule());
+    assert.equal(storage.getItem('parkingTimer'), null);
+    assert.equal(loaded.sessions.length, 1);
+    assert.deepEqual(loaded.sessions[0].events.map(event => event.type), ['start', 'pause']);
+    assert.equal(loaded.sessions[0].pausedTime, undefined);
+    assert.equal(core.getSessionTiming(loaded.sessions[0]).elapsed, 20 * MINUTE);
+  });
+  
+  await t.test('停车多天没有更新的会话保留，费用按每日封顶计算', () => {
+    const { core, now } = createCore();
+    const rule = ParkingCore.parseRuleString('15min-free,1h-10y,5y-per-hour,cap-40y-per-day');
+    const started = core.createSession('A', rule);
+    started.startTime = new Date(BASE).toISOString();
+    started.isRunning = true;
+    started.events.push({ type: 'start', at: BASE });
+    const idle = core.createSession('B', defaultRule());
+    core.saveSessions(started.id, [started, idle]);
+    
+    now.advance(3 * 24 * HOUR);
+    const loaded = core.loadSessions(defaultRule());
+    assert.deepEqual(loaded.sessions.map(session => session.name), ['A', 'B']);
+    assert.equal(loaded.activeId, started.id);
+    // 第1天 09:00 起到第4天 09:00，跨了4个自然日，每天的费用都超过封顶
+    assert.equal(ParkingCore.sessionCostAt(loaded.sessions[0], now()), 4 * 40);
+  });
+  
+  await t.test('计费规则', () => {
+    const { core } = createCore();
+    assert.equal(core.loadPricingRules(), null);
+    const rule = ParkingCore.parseRuleString('0min-free,12y-per-hour');
+    core.savePricingRules(rule);
+    assert.deepEqual(core.loadPricingRules(), rule);
+  });
+  
+  await t.test('常用规则只保存用户添加的，旧格式读取时迁移并写回', () => {
+    const { core, storage } = createCore({
+      userPresetRules: [{ id: 'old', name: '旧规则', freeTime: 30, baseTime: 1, baseCost: 3, overtimeCost: 3 }]
+    });
+    const presets = core.loadUserPresets();
+    assert.equal(presets[0].ruleString, '30min-free,1h-3y,3y-per-hour');
+    assert.equal(JSON.parse(storage.getItem('userPresetRules'))[0].ruleString, '30min-free,1h-3y,3y-per-hour');
+    
+    core.saveUserPresets(ParkingCore.DEFAULT_PRESET_RULES.concat(presets));
+    assert.deepEqual(JSON.parse(storage.getItem('userPresetRules')).map(preset => preset.id), ['old']);
+  });
+  
+  await t.test('预算随备份导出，导入后读回', () => {
+    const { core } = createCore({ parkingBudget: { daily: 30, monthly: 500, fired: ['budget-daily-1-30'] } });
+    const budget = JSON.parse(JSON.stringify(ParkingCore.getBackupBudget(core.loadBudgetSettings())));
+    assert.deepEqual(budget, { daily: 30, monthly: 500 });
+    
+    // 替换：使用备份的预算，重新提醒
+    const replaced = createCore({ parkingBudget: { daily: 10, monthly: 0, fired: ['budget-daily-2-10'] } }).core;
+    replaced.saveBudgetSettings(ParkingCore.restoreBackupBudget(replaced.loadBudgetSettings(), budget, 'replace'));
+    assert.deepEqual(replaced.loadBudgetSettings(), { daily: 30, monthly: 500, fired: [] });
+    
+    // 合并：只补充没有设置的预算
+    const merged = createCore({ parkingBudget: { daily: 10, monthly: 0, fired: ['budget-daily-2-10'] } }).core;
+    merged.saveBudgetSettings(ParkingCore.restoreBackupBudget(merged.loadBudgetSettings(), budget, 'merge'));
+    assert.deepEqual(merged.loadBudgetSettings(), { daily: 10, monthly: 500, fired: ['budget-daily-2-10'] });
+    
+    // 旧版本的备份没有预算，保留现有设置
+    const kept = createCore().core;
+    assert.deepEqual(ParkingCore.restoreBackupBudget(kept.loadBudgetSettings(), null, 'replace'), { daily: 0, monthly: 0, fired: [] });
+  });
+});
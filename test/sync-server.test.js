@@ -0,0 +1,170 @@
+// 同步服务器参考实现(server/sync-server.js)的自动化测试，运行：node --test test/
+// 覆盖冲突处理、重复上传、删除、分页拉取，以及HTTP接口的参数检查和令牌
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PROTOCOL, createState, applyPush, pullChanges, createSyncServer } = require('../server/sync-server.js');
+
+// 一条修改，baseRev 为客户端上次拉取到的该记录的版本号(新记录为0)
+function change(id, updatedAt, overrides = {}) {
+  return { collection: 'sessions', id: id, baseRev: 0, updatedAt: updatedAt, data: { name: id }, ...overrides };
+}
+
+// 在随机端口启动服务器，返回请求函数，测试结束时关闭
+async function startServer(t, options) {
+  const server = createSyncServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async (path, init = {}) => {
+    const response = await fetch(base + path, init);
+    return { status: response.status, body: await response.json() };
+  };
+}
+
+test('同步冲突', async t => {
+  await t.test('基于旧版本的修改：修改时间较晚的一方胜出', () => {
+    const state = createState();
+    applyPush(state, 'phone', [change('car', 1000)]);
+    applyPush(state, 'phone', [change('car', 2000, { baseRev: 1, data: { name: '手机' } })]);
+    
+    // 平板基于版本1修改，但修改时间更早，服务器上的版本保留
+    const [older] = applyPush(state, 'tablet', [change('car', 1500, { baseRev: 1, data: { name: '平板' } })]);
+    assert.equal(older.status, 'conflict');
+    assert.equal(older.record.rev, 2);
+    assert.deepEqual(older.record.data, { name: '手机' });
+    
+    // 修改时间更晚时平板的版本胜出
+    const [newer] = applyPush(state, 'tablet', [change('car', 3000, { baseRev: 1, data: { name: '平板' } })]);
+    assert.equal(newer.status, 'applied');
+    assert.equal(newer.record.rev, 3);
+    assert.equal(newer.record.deviceId, 'tablet');
+    assert.deepEqual(state.records['sessions:car'].data, { name: '平板' });
+  });
+  
+  await t.test('修改时间相同时设备ID较大的一方胜出，与上传顺序无关', () => {
+    const state = createState();
+    applyPush(state, 'b-phone', [change('car', 1000, { data: { name: 'b' } })]);
+    
+    const [smaller] = applyPush(state, 'a-tablet', [change('car', 1000, { data: { name: 'a' } })]);
+    assert.equal(smaller.status, 'conflict');
+    assert.deepEqual(smaller.record.data, { name: 'b' });
+    
+    const reversed = createState();
+    applyPush(reversed, 'a-tablet', [change('car', 1000, { data: { name: 'a' } })]);
+    const [larger] = applyPush(reversed, 'b-phone', [change('car', 1000, { data: { name: 'b' } })]);
+    assert.equal(larger.status, 'applied');
+    assert.deepEqual(reversed.records['sessions:car'].data, { name: 'b' });
+  });
+  
+  await t.test('基于最新版本的修改直接保存', () => {
+    const state = createState();
+    applyPush(state, 'phone', [change('car', 2000)]);
+    const [result] = applyPush(state, 'tablet', [change('car', 1000, { baseRev: 1 })]);
+    assert.equal(result.status, 'applied');
+    assert.equal(result.record.rev, 2);
+  });
+});
+
+test('同步上传', async t => {
+  await t.test('同一设备重复上传同一次修改按已保存处理，不产生新版本', () => {
+    const state = createState();
+    const [first] = applyPush(state, 'phone', [change('car', 1000)]);
+    const [again] = applyPush(state, 'phone', [change('car', 1000)]);
+    assert.equal(again.status, 'applied');
+    assert.equal(again.record, first.record);
+    assert.equal(state.rev, 1);
+  });
+  
+  await t.test('删除保存为删除标记，拉取时和其他修改一起返回', () => {
+    const state = createState();
+    applyPush(state, 'phone', [change('car', 1000), change('bike', 1000)]);
+    const [deleted] = applyPush(state, 'tablet', [change('car', 2000, { baseRev: 1, deleted: true, data: undefined })]);
+    assert.equal(deleted.status, 'applied');
+    assert.equal(deleted.record.deleted, true);
+    assert.equal(deleted.record.data, null);
+    
+    const pulled = pullChanges(state, 2, 10);
+    assert.deepEqual(pulled.changes.map(record => [record.id, record.deleted]), [['car', true]]);
+    assert.equal(pulled.rev, 3);
+  });
+});
+
+test('同步拉取', async t => {
+  await t.test('超过 limit 条时分页，rev 为本页最后一条的版本号，more 表示还有更多', () => {
+    const state = createState();
+    applyPush(state, 'phone', ['a', 'b', 'c', 'd', 'e'].map(id => change(id, 1000)));
+    
+    const first = pullChanges(state, 0, 2);
+    assert.deepEqual(first.changes.map(record => record.id), ['a', 'b']);
+    assert.equal(first.rev, 2);
+    assert.equal(first.more, true);
+    
+    const second = pullChanges(state, first.rev, 2);
+    assert.deepEqual(second.changes.map(record => record.id), ['c', 'd']);
+    assert.equal(second.more, true);
+    
+    const last = pullChanges(state, second.rev, 2);
+    assert.deepEqual(last.changes.map(record => record.id), ['e']);
+    assert.equal(last.rev, 5);
+    assert.equal(last.more, false);
+  });
+  
+  await t.test('没有新修改时返回当前版本号', () => {
+    const state = createState();
+    applyPush(state, 'phone', [change('a', 1000)]);
+    assert.deepEqual(pullChanges(state, 1, 10), { rev: 1, changes: [], more: false });
+    assert.deepEqual(pullChanges(createState(), 0, 10), { rev: 0, changes: [], more: false });
+  });
+});
+
+test('同步服务器接口', async t => {
+  await t.test('上传后可以拉取到修改', async t => {
+    const request = await startServer(t);
+    const push = await request('/sync/push', {
+      method: 'POST',
+      body: JSON.stringify({ protocol: PROTOCOL, deviceId: 'phone', changes: [change('car', 1000)] })
+    });
+    assert.equal(push.status, 200);
+    assert.equal(push.body.rev, 1);
+    assert.equal(push.body.results[0].status, 'applied');
+    
+    const pull = await request('/sync/pull?since=0&limit=10');
+    assert.equal(pull.status, 200);
+    assert.deepEqual(pull.body.changes.map(record => record.id), ['car']);
+  });
+  
+  await t.test('协议版本、设备ID或修改内容不对时返回400', async t => {
+    const request = await startServer(t);
+    const push = body => request('/sync/push', { method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body) });
+    
+    const wrongProtocol = await push({ protocol: PROTOCOL + 1, deviceId: 'phone', changes: [] });
+    assert.equal(wrongProtocol.status, 400);
+    assert.match(wrongProtocol.body.error, /不支持的协议版本/);
+    
+    assert.equal((await push({ protocol: PROTOCOL, changes: [] })).status, 400);
+    
+    const unknown = await push({ protocol: PROTOCOL, deviceId: 'phone', changes: [change('car', 1000, { collection: 'cars' })] });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, '未知的数据类型');
+    
+    const missingData = await push({ protocol: PROTOCOL, deviceId: 'phone', changes: [change('car', 1000, { data: null })] });
+    assert.equal(missingData.body.error, '缺少记录内容');
+    
+    assert.equal((await push('{')).status, 400);
+    
+    // 有一条无效时整批都不保存
+    const pull = await request('/sync/pull');
+    assert.deepEqual(pull.body.changes, []);
+  });
+  
+  await t.test('设置了令牌时，没有或令牌错误的请求返回401', async t => {
+    const request = await startServer(t, { token: 'secret' });
+    
+    const missing = await request('/sync/pull');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error, '令牌无效');
+    assert.equal((await request('/sync/pull', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+    assert.equal((await request('/sync/pull', { headers: { Authorization: 'Bearer secret' } })).status, 200);
+  });
+});
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// 生成服务工作者的预缓存清单 precache-manifest.js，只使用Node内置模块
+// 用法：node tools/build-precache.js [--check]
+//   修改了页面、脚本、图标或 release-notes.json 后运行一次并提交生成的文件；
+//   --check 只检查清单是否与文件一致，不一致时以状态码1退出(可以放在提交前检查中)
+// 文件按内容的SHA-256计算版本，任何文件变化都会得到新的清单版本，服务工作者据此安装新版本(见 service-worker.js 的"预缓存")。
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = 'precache-manifest.js';
+const RELEASE_NOTES = 'release-notes.json';
+const RELEASE_NOTES_LIMIT = 10; // 清单中带上最近几个版本的更新说明，跳过了几个版本更新时一起显示
+
+// 应用需要的本地文件，icons/ 目录中的文件自动加入。
+// 服务工作者本身和生成的清单由浏览器的更新检查负责，不放入预缓存
+const LOCAL_ASSETS = [
+  '/index.html',
+  '/offline.html',
+  '/i18n.js',
+  '/core.js',
+  '/sync.js',
+  '/qr.js',
+  '/manifest.json',
+  '/manifest.en.json',
+  '/vendor/tailwind.css',
+  '/vendor/font-awesome-4.7.0/css/font-awesome.min.css',
+  // 图标字体由样式表引用，支持 woff2 的浏览器不会请求其他格式
+  '/vendor/font-awesome-4.7.0/fonts/fontawesome-webfont.woff2',
+  '/vendor/font-awesome-4.7.0/fonts/fontawesome-webfont.woff'
+];
+const ICON_DIR = 'icons';
+
+function hash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+function listAssets() {
+  const icons = fs.readdirSync(path.join(ROOT, ICON_DIR))
+    .filter(name => !name.startsWith('.'))
+    .sort()
+    .map(name => `/${ICON_DIR}/${name}`);
+  return LOCAL_ASSETS.concat(icons);
+}
+
+// 页面和应用清单中引用的本地文件都要在预缓存中，否则离线时缺少资源
+function findMissingReferences(assets) {
+  const references = new Set();
+  ['index.html', 'offline.html'].forEach(file => {
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    for (const match of html.matchAll(/\b(?:src|href)="(\/[^"?#]+)/g)) {
+      references.add(match[1]);
+    }
+  });
+  ['manifest.json', 'manifest.en.json'].forEach(file => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    const icons = (manifest.icons || []).concat(...(manifest.shortcuts || []).map(shortcut => shortcut.icons || []));
+    icons.map(icon => new URL(icon.src, 'http://localhost/'))
+      .filter(url => url.origin === 'http://localhost')
+      .forEach(url => references.add(url.pathname));
+  });
+  
+  // 根路径由 /index.html 提供
+  references.delete('/');
+  return Array.from(references).filter(url => !assets.includes(url));
+}
+
+function buildManifest() {
+  const assets = listAssets();
+  const missing = findMissingReferences(assets);
+  if (missing.length > 0) {
+    throw new Error(`以下文件被页面引用，但不在预缓存列表中：${missing.join(', ')}`);
+  }
+  
+  const local = assets.map(url => ({ url: url, revision: hash(fs.readFileSync(path.join(ROOT, url))) }));
+  const releases = JSON.parse(fs.readFileSync(path.join(ROOT, RELEASE_NOTES), 'utf8')).slice(0, RELEASE_NOTES_LIMIT);
+  
+  return {
+    version: hash(local.map(asset => `${asset.url} ${asset.revision}`).join('\n') + JSON.stringify(releases)),
+    release: releases.length > 0 ? releases[0].release : null,
+    assets: local,
+    releases: releases
+  };
+}
+
+function render(manifest) {
+  return [
+    `// 由 tools/build-precache.js 生成，不要手动修改。修改应用文件后运行 node tools/build-precache.js`,
+    `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};`,
+    ''
+  ].join('\n');
+}
+
+function main() {
+  const content = render(buildManifest());
+  const file = path.join(ROOT, OUTPUT);
+  
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    if (current !== content) {
+      console.error(`${OUTPUT} 已过期，请运行 node tools/build-precache.js`);
+      process.exit(1);
+    }
+    console.log(`${OUTPUT} 是最新的`);
+    return;
+  }
+  
+  fs.writeFileSync(file, content);
+  console.log(`已生成 ${OUTPUT}`);
+}
+
+main();
@@ -0,0 +1,59 @@
+// Tailwind CSS 的配置，与 tools/tailwind.css 一起生成 vendor/tailwind.css(命令见 README 的"开发与测试")
+// 按 index.html 中用到的类生成样式，页面中新增了类名后需要重新生成
+module.exports = {
+  content: {
+    relative: true,
+    files: ['../index.html']
+  },
+  theme: {
+    extend: {
+      colors: {
+        primary: '#3B82F6',
+        secondary: '#10B981',
+        warning: '#F59E0B',
+        danger: '#EF4444',
+        dark: '#1F2937',
+        light: '#F3F4F6',
+        'primary-light': '#60A5FA',
+        'primary-dark': '#1D4ED8',
+        'gradient-1': '#4F46E5',
+        'gradient-2': '#8B5CF6',
+        'gradient-3': '#EC4899',
+      },
+      // 移动端优化断点
+      screens: {
+        'xs': '320px',
+        'sm': '360px',
+        'md': '480px',
+        'lg': '768px',
+        'xl': '1024px',
+      },
+      fontFamily: {
+        sans: ['Inter', 'system-ui', 'sans-serif'],
+      },
+      animation: {
+        'pulse-fast': 'pulse 1s cubic-bezier(0.4, 0, 0.6, 1) infinite',
+        'shake': 'shake 0.5s cubic-bezier(.36,.07,.19,.97) both',
+        'float': 'float 3s ease-in-out infinite',
+        'gradient': 'gradient 8s ease infinite',
+      },
+      keyframes: {
+        shake: {
+          '10%, 90%': { transform: 'translate3d(-1px, 0, 0)' },
+          '20%, 80%': { transform: 'translate3d(2px, 0, 0)' },
+          '30%, 50%, 70%': { transform: 'translate3d(-4px, 0, 0)' },
+          '40%, 60%': { transform: 'translate3d(4px, 0, 0)' }
+        },
+        float: {
+          '0%, 100%': { transform: 'translateY(0)' },
+          '50%': { transform: 'translateY(-10px)' },
+        },
+        gradient: {
+          '0%': { backgroundPosition: '0% 50%' },
+          '50%': { backgroundPosition: '100% 50%' },
+          '100%': { backgroundPosition: '0% 50%' },
+        }
+      }
+    }
+  }
+};